@@ -0,0 +1,93 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('links callbacks to the latest call which received them', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const callbacks = new Set();
+  const timers = TraceAnything.traceObject({
+    schedule: (callback) => {
+      callbacks.add(callback);
+    },
+    cancel: (callback) => {
+      callbacks.delete(callback);
+    },
+  }, {
+    logger: (log) => logs.push(log),
+    traceCallbackArgs: true,
+  }).traced;
+  const tick = () => {};
+
+  timers.schedule(tick);
+  timers.cancel(tick);
+  assert.strictEqual(callbacks.size, 0);
+
+  timers.schedule(tick);
+  const second = logs[logs.length - 1];
+  for (const callback of callbacks) {
+    callback();
+  }
+
+  const callbackLog = logs.find((log) => log.callbackOf != undefined);
+  assert.strictEqual(callbackLog.callbackOf, second.callId);
+  assert.strictEqual(callbackLog.methodName, 'schedule callback');
+});
+
+test('leaves classes passed as arguments alone', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  let scheduled = null;
+  const timers = TraceAnything.traceObject({
+    schedule: (callback) => {
+      scheduled = callback;
+    },
+  }, {logger: () => {}, traceCallbackArgs: true}).traced;
+
+  class Task {
+    run() {}
+  }
+  timers.schedule(Task);
+  assert.strictEqual(scheduled, Task);
+});
+
+test('keeps the own properties of callbacks', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  let scheduled = null;
+  const timers = TraceAnything.traceObject({
+    schedule: (callback) => {
+      scheduled = callback;
+    },
+  }, {logger: () => {}, traceCallbackArgs: true}).traced;
+
+  const tick = () => {};
+  tick.priority = 'high';
+  timers.schedule(tick);
+  assert.notStrictEqual(scheduled, tick);
+  assert.strictEqual(scheduled.priority, 'high');
+});
+
+test('stops logging callbacks once restored', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  let scheduled = null;
+  const handle = TraceAnything.traceObject({
+    schedule: (callback) => {
+      scheduled = callback;
+    },
+  }, {
+    logger: (log) => logs.push(log),
+    traceCallbackArgs: true,
+  });
+
+  let calls = 0;
+  handle.traced.schedule(() => calls++);
+  handle.restore();
+
+  scheduled();
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(logs.length, 1);
+});
@@ -0,0 +1,66 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('exports calls, events, and tracks in the Trace Event Format', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  // Each call takes two milliseconds of this clock.
+  let now = 0;
+  class Player extends EventTarget {
+    load() {
+      now += 2;
+    }
+  }
+
+  const logger = new TraceAnything.ChromeTraceLogger();
+  const player = TraceAnything.traceObject(new Player(), {
+    logger,
+    clock: () => now,
+    idProperty: null,
+    discovery: TraceAnything.Discovery.PrototypeChain,
+  }).traced;
+
+  player.load();
+  player.addEventListener('play', () => {});
+  player.dispatchEvent(new Event('play'));
+
+  const {traceEvents} = JSON.parse(JSON.stringify(logger));
+  const track = traceEvents.find((event) => event.ph == 'M');
+  assert.deepStrictEqual(track.args, {name: 'Player_1'});
+
+  const load = traceEvents.find((event) => event.name == 'Player.load');
+  assert.strictEqual(load.ph, 'X');
+  assert.strictEqual(load.tid, track.tid);
+  assert.strictEqual(load.ts, 0);
+  assert.strictEqual(load.dur, 2000);
+
+  const play = traceEvents.find(
+      (event) => event.name == 'Player play event');
+  assert.strictEqual(play.ph, 'i');
+  assert.strictEqual(play.tid, track.tid);
+});
+
+test('exports the whole duration of async calls', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  for (const logAsyncResultsImmediately of [true, false]) {
+    let now = 0;
+    const logger = new TraceAnything.ChromeTraceLogger();
+    const player = TraceAnything.traceObject({
+      async load() {
+        await null;
+        now += 5;
+      },
+    }, {logger, clock: () => now, logAsyncResultsImmediately}).traced;
+
+    await player.load();
+
+    const events = logger.getTrace().traceEvents.filter(
+        (event) => event.name == 'Object.load' && event.ph != 'X');
+    assert.deepStrictEqual(events.map((event) => [event.ph, event.ts]), [
+      ['b', 0],
+      ['e', 5000],
+    ]);
+  }
+});
@@ -0,0 +1,40 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('times calls with the clock in the options', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  let now = 0;
+  const logs = [];
+  const player = TraceAnything.traceObject({
+    load() {
+      now += 0.25;
+    },
+    get position() {
+      now += 0.5;
+      return 1;
+    },
+  }, {logger: (log) => logs.push(log), clock: () => now}).traced;
+
+  now = 100;
+  player.load();
+  player.position;
+
+  assert.deepStrictEqual(logs.map((log) => [log.startTime, log.hrDuration]), [
+    [100, 0.25],
+    [100.25, 0.5],
+  ]);
+  for (const log of logs) {
+    assert.strictEqual(typeof log.timestamp, 'number');
+  }
+});
+
+test('uses a high-resolution clock by default in nodejs', () => {
+  assert.strictEqual(
+      TraceAnything.defaultOptions.clock, TraceAnything.Clocks.hrtime);
+
+  const first = TraceAnything.Clocks.hrtime();
+  const second = TraceAnything.Clocks.hrtime();
+  assert.ok(second >= first);
+});
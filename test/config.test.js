@@ -0,0 +1,111 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('traces native accessors on prototypes without reading them', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const originalGet = URLSearchParams.prototype.get;
+  const originalSize =
+      Object.getOwnPropertyDescriptor(URLSearchParams.prototype, 'size').get;
+
+  const logs = [];
+  const handle = TraceAnything.applyConfig({
+    prototypes: [{name: 'URLSearchParams', members: ['get', 'size']}],
+  }, {logger: (log) => logs.push(log)});
+
+  const params = new URLSearchParams('a=1');
+  assert.strictEqual(params.get('a'), '1');
+  assert.strictEqual(params.size, 1);
+  assert.deepStrictEqual(logs.map((log) => log.type), [
+    TraceAnything.LogTypes.Method,
+    TraceAnything.LogTypes.Getter,
+  ]);
+
+  handle.restore();
+  assert.strictEqual(URLSearchParams.prototype.get, originalGet);
+  assert.strictEqual(
+      Object.getOwnPropertyDescriptor(URLSearchParams.prototype, 'size').get,
+      originalSize);
+});
+
+test('skips targets which fail and traces the rest', (t) => {
+  t.after(() => {
+    TraceAnything.untraceAll();
+    delete globalThis.configTestBroken;
+    delete globalThis.configTestWorking;
+  });
+
+  globalThis.configTestBroken = {
+    get inner() {
+      throw new Error('broken');
+    },
+  };
+  globalThis.configTestWorking = {
+    run() {},
+  };
+
+  const logs = [];
+  TraceAnything.applyConfig({
+    paths: ['configTestBroken.inner.run', 'configTestWorking.run'],
+  }, {logger: (log) => logs.push(log)});
+
+  assert.strictEqual(logs.length, 1);
+  assert.strictEqual(logs[0].type, TraceAnything.LogTypes.Warning);
+  assert.match(logs[0].message, /configTestBroken\.inner\.run/);
+
+  globalThis.configTestWorking.run();
+  assert.strictEqual(logs.length, 2);
+  assert.strictEqual(logs[1].methodName, 'run');
+});
+
+test('warns about paths whose global does not exist', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  TraceAnything.applyConfig({
+    paths: ['configTestMissing.run'],
+  }, {logger: (log) => logs.push(log)});
+
+  assert.strictEqual(logs.length, 1);
+  assert.match(logs[0].message, /Unknown global configTestMissing/);
+});
+
+test('rejects options of the wrong type', () => {
+  const invalidOptions = [
+    {sampleRate: 'x'},
+    {methods: 'no'},
+    {skipEvents: 'timeupdate'},
+    {eventProperties: []},
+    {includeMembers: 'play'},
+    {toString: 'x'},
+  ];
+  for (const options of invalidOptions) {
+    assert.throws(
+        () => TraceAnything.applyConfig({options}),
+        /Invalid TraceAnything config/);
+  }
+
+  TraceAnything.applyConfig({
+    options: {sampleRate: 0.5, includeMembers: null},
+  }).restore();
+});
+
+test('traces the globals of another window', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const frameWindow = {
+    api: {
+      ping() {},
+    },
+  };
+
+  const logs = [];
+  TraceAnything.applyConfig({
+    paths: ['api.ping'],
+  }, {logger: (log) => logs.push(log)}, frameWindow);
+
+  frameWindow.api.ping();
+  assert.strictEqual(logs.length, 1);
+  assert.strictEqual(logs[0].methodName, 'ping');
+});
@@ -0,0 +1,52 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('links nested calls to the call they were made in', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const player = TraceAnything.traceObject({
+    load() {
+      return this.parse();
+    },
+    parse() {
+      return 1;
+    },
+  }, {logger: (log) => logs.push(log)}).traced;
+
+  player.load();
+  player.parse();
+
+  const [parse, load, topLevelParse] = logs;
+  assert.strictEqual(load.methodName, 'load');
+  assert.strictEqual(load.parentCallId, null);
+  assert.strictEqual(load.depth, 0);
+  assert.strictEqual(parse.parentCallId, load.callId);
+  assert.strictEqual(parse.depth, 1);
+  assert.strictEqual(topLevelParse.parentCallId, null);
+  assert.notStrictEqual(topLevelParse.callId, parse.callId);
+});
+
+test('keeps the parent call across await', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const player = TraceAnything.traceObject({
+    async load() {
+      await null;
+      this.parse();
+    },
+    parse() {},
+  }, {
+    logger: (log) => logs.push(log),
+    logAsyncResultsImmediately: false,
+  }).traced;
+
+  await player.load();
+
+  const load = logs.find((log) => log.methodName == 'load');
+  const parse = logs.find((log) => log.methodName == 'parse');
+  assert.strictEqual(parse.parentCallId, load.callId);
+  assert.strictEqual(parse.depth, 1);
+});
@@ -0,0 +1,79 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('finds class methods on the prototype chain', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Media {
+    load() {}
+  }
+  class Player extends Media {
+    play() {}
+
+    [Symbol.iterator]() {
+      return [][Symbol.iterator]();
+    }
+  }
+
+  const logs = [];
+  const player = TraceAnything.traceObject(new Player(), {
+    logger: (log) => logs.push(log),
+    discovery: TraceAnything.Discovery.PrototypeChain,
+  }).traced;
+
+  player.load();
+  player.play();
+  [...player];
+  player.toString();
+  player.hasOwnProperty('load');
+
+  assert.deepStrictEqual(logs.map((log) => String(log.methodName)),
+      ['load', 'play', 'Symbol(Symbol.iterator)']);
+});
+
+test('only finds enumerable members by default', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Player {
+    play() {}
+  }
+
+  const logs = [];
+  const player = TraceAnything.traceObject(new Player(), {
+    logger: (log) => logs.push(log),
+  }).traced;
+
+  player.play();
+  assert.deepStrictEqual(logs, []);
+});
+
+test('stops at stopPrototypes and filters member names', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Media {
+    load() {}
+  }
+  class Player extends Media {
+    play() {}
+    pause() {}
+    getPosition() {}
+  }
+
+  const logs = [];
+  const player = TraceAnything.traceObject(new Player(), {
+    logger: (log) => logs.push(log),
+    discovery: TraceAnything.Discovery.PrototypeChain,
+    stopPrototypes: [Media.prototype],
+    includeMembers: ['p*', /^get/],
+    excludeMembers: ['pause'],
+  }).traced;
+
+  player.load();
+  player.play();
+  player.pause();
+  player.getPosition();
+
+  assert.deepStrictEqual(logs.map((log) => log.methodName),
+      ['play', 'getPosition']);
+});
@@ -0,0 +1,95 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {JSDOM} = require('jsdom');
+const {TraceAnything} = require('../trace-anything.js');
+
+/**
+ * @return {!Promise} Resolved after pending MutationObserver callbacks run.
+ */
+function mutationsDelivered() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+test('traces elements in subtrees and shadow roots', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const {document} = new JSDOM(`
+    <div><video id="nested"></video></div>
+    <div id="host"></div>
+  `).window;
+  const openRoot = document.getElementById('host').attachShadow({mode: 'open'});
+  openRoot.innerHTML = '<span><video id="shadow"></video></span>';
+
+  TraceAnything.traceElement('video', {
+    logger: () => {},
+    properties: false,
+    methods: false,
+  }, document);
+  assert.ok(document.getElementById('nested').__TraceAnything__);
+  assert.ok(openRoot.getElementById('shadow').__TraceAnything__);
+
+  // Closed shadow roots are only seen when attached after tracing starts.
+  const section = document.createElement('section');
+  section.innerHTML = '<p><video id="added"></video></p>';
+  document.body.appendChild(section);
+  const closedRoot = section.attachShadow({mode: 'closed'});
+  await mutationsDelivered();
+  closedRoot.innerHTML = '<video id="closed"></video>';
+  openRoot.appendChild(document.createElement('video'));
+  await mutationsDelivered();
+
+  assert.ok(section.querySelector('video').__TraceAnything__);
+  assert.ok(closedRoot.querySelector('video').__TraceAnything__);
+  assert.ok(openRoot.lastChild.__TraceAnything__);
+});
+
+test('warns when traced elements are removed, not moved', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const {document} = new JSDOM(`
+    <div id="moved"><video></video></div>
+    <div id="removed"><video></video><video></video></div>
+  `).window;
+
+  const logs = [];
+  TraceAnything.traceElement('video', {
+    logger: (log) => logs.push(log),
+    properties: false,
+    methods: false,
+    idProperty: null,
+  }, document);
+
+  const moved = document.getElementById('moved');
+  document.body.appendChild(moved.firstChild);
+  document.getElementById('removed').remove();
+  await mutationsDelivered();
+
+  const warnings = logs.filter(
+      (log) => log.type == TraceAnything.LogTypes.Warning);
+  assert.deepStrictEqual(warnings.map((log) => log.instanceId),
+      ['HTMLVideoElement_2', 'HTMLVideoElement_3']);
+  assert.strictEqual(
+      warnings[0].message, 'HTMLVideoElement was removed from the document');
+});
+
+test('stops observing shadow roots once restored', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const {window} = new JSDOM('<div id="host"></div>');
+  const {document, Element} = window;
+  const originalAttachShadow = Element.prototype.attachShadow;
+
+  const handle = TraceAnything.traceElement('video', {
+    logger: () => {},
+    properties: false,
+    methods: false,
+  }, document);
+  assert.notStrictEqual(Element.prototype.attachShadow, originalAttachShadow);
+  handle.restore();
+  assert.strictEqual(Element.prototype.attachShadow, originalAttachShadow);
+
+  const root = document.getElementById('host').attachShadow({mode: 'open'});
+  root.innerHTML = '<video></video>';
+  await mutationsDelivered();
+  assert.ok(!root.firstChild.__TraceAnything__);
+});
@@ -0,0 +1,85 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+class Player extends EventTarget {
+  constructor() {
+    super();
+    this._onended = null;
+    this._online = true;
+  }
+
+  get onended() {
+    return this._onended;
+  }
+
+  set onended(handler) {
+    this._onended = handler;
+  }
+
+  get onLine() {
+    return this._online;
+  }
+
+  set onLine(online) {
+    this._online = online;
+  }
+
+  finish() {
+    if (this._onended) {
+      this._onended(new Event('ended'));
+    }
+  }
+}
+
+test('logs events through "on" handler properties', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const player = TraceAnything.traceObject(new Player(), {
+    logger: (log) => logs.push(log),
+    discovery: TraceAnything.Discovery.PrototypeChain,
+    skipProperties: ['_onended', '_online'],
+  }).traced;
+
+  let ended = 0;
+  const handler = () => ended++;
+  player.onended = handler;
+  player.finish();
+  player.onLine;
+
+  const {Event, Method, Getter} = TraceAnything.LogTypes;
+  assert.strictEqual(ended, 1);
+  assert.strictEqual(player.onended, handler);
+  const names = logs.map((log) =>
+    [log.type, log.eventName || log.methodName || log.memberName]);
+  assert.deepStrictEqual(names, [
+    [Event, 'ended'],
+    [Method, 'finish'],
+    // onLine holds a boolean, so it is a plain property, not a handler.
+    [Getter, 'onLine'],
+  ]);
+});
+
+test('treats eventHandlerProperties as handlers', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const loader = TraceAnything.traceObject({
+    onready: null,
+    start() {
+      this.onready('a.mp4');
+    },
+  }, {
+    logger: (log) => logs.push(log),
+    eventHandlerProperties: ['onready'],
+  }).traced;
+
+  loader.onready = (url) => url;
+  loader.start();
+
+  const [ready] = logs;
+  assert.strictEqual(ready.type, TraceAnything.LogTypes.Event);
+  assert.strictEqual(ready.eventName, 'ready');
+  assert.strictEqual(ready.event, 'a.mp4');
+});
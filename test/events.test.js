@@ -0,0 +1,49 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('logs each dispatch of an event', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Player extends EventTarget {}
+  const logs = [];
+  const target = TraceAnything.traceObject(new Player(), {
+    logger: (log) => logs.push(log),
+  }).traced;
+  target.addEventListener('play', () => {});
+
+  const event = new Event('play');
+  target.dispatchEvent(event);
+  target.dispatchEvent(event);
+  target.dispatchEvent(new Event('play'));
+
+  const eventLogs = logs.filter(
+      (log) => log.type == TraceAnything.LogTypes.Event);
+  assert.strictEqual(eventLogs.length, 3);
+});
+
+test('lists the listeners an event was delivered to', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Player extends EventTarget {}
+  const logs = [];
+  const target = TraceAnything.traceObject(new Player(), {
+    logger: (log) => logs.push(log),
+  }).traced;
+  const once = () => {};
+  const stopper = (event) => event.stopImmediatePropagation();
+  const skipped = () => {};
+  target.addEventListener('play', once, {once: true});
+  target.addEventListener('play', stopper);
+  target.addEventListener('play', skipped);
+
+  target.dispatchEvent(new Event('play'));
+  target.dispatchEvent(new Event('play'));
+
+  const eventLogs = logs.filter(
+      (log) => log.type == TraceAnything.LogTypes.Event);
+  assert.deepStrictEqual(eventLogs.map((log) => log.listeners), [
+    [once, stopper],
+    [stopper],
+  ]);
+});
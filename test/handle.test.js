@@ -0,0 +1,49 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('restores instances traced through a class', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Foo {
+    bar() {}
+  }
+
+  const logs = [];
+  const handle = TraceAnything.traceClass(Foo, {
+    logger: (log) => logs.push(log),
+    discovery: TraceAnything.Discovery.PrototypeChain,
+  });
+
+  const foo = new handle.traced();
+  foo.bar();
+  assert.strictEqual(logs.length, 2);
+
+  handle.restore();
+  foo.bar();
+  assert.strictEqual(logs.length, 2);
+  assert.ok(!foo.__TraceAnything__);
+});
+
+test('does not keep traced instances alive', {
+  skip: typeof global.gc != 'function' && 'needs --expose-gc',
+}, async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Foo {}
+  const handle = TraceAnything.traceClass(Foo, {logger: () => {}});
+
+  let collected = false;
+  const registry = new FinalizationRegistry(() => {
+    collected = true;
+  });
+  (() => {
+    registry.register(new handle.traced(), null);
+  })();
+
+  for (let i = 0; i < 10 && !collected; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    global.gc();
+  }
+  assert.ok(collected);
+});
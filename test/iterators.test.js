@@ -0,0 +1,29 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('stops tracing live iterators when restored', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const handle = TraceAnything.traceFunction(function* count() {
+    yield 1;
+    yield 2;
+    yield 3;
+  }, {
+    logger: (log) => logs.push(log),
+    traceIterators: true,
+  });
+
+  const iterator = handle.traced();
+  const next = iterator.next;
+  assert.strictEqual(iterator.next().value, 1);
+  assert.ok(logs.some((log) => log.iteratorOf != undefined));
+
+  handle.restore();
+  logs.length = 0;
+  assert.strictEqual(iterator.next().value, 2);
+  assert.strictEqual(next.call(iterator).value, 3);
+  assert.strictEqual(logs.length, 0);
+  assert.ok(!Object.prototype.hasOwnProperty.call(iterator, 'next'));
+});
@@ -0,0 +1,21 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('traces named ES module imports of built-in modules', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const fs = await import('node:fs');
+  const originalExistsSync = fs.existsSync;
+
+  const logs = [];
+  const handle = TraceAnything.traceModule('fs', {
+    logger: (log) => logs.push(log),
+  });
+
+  fs.existsSync(__filename);
+  assert.ok(logs.some((log) => log.methodName == 'existsSync'));
+
+  handle.restore();
+  assert.strictEqual(fs.existsSync, originalExistsSync);
+});
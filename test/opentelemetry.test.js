@@ -0,0 +1,51 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('exports calls as nested OTLP spans', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Player extends EventTarget {
+    load() {
+      this.dispatchEvent(new Event('loading'));
+      this.fail();
+    }
+
+    fail() {
+      throw new Error('no network');
+    }
+  }
+
+  const logger =
+      new TraceAnything.OpenTelemetryLogger({serviceName: 'player'});
+  const player = TraceAnything.traceObject(new Player(), {
+    logger,
+    idProperty: null,
+    discovery: TraceAnything.Discovery.PrototypeChain,
+  }).traced;
+  player.addEventListener('loading', () => {});
+  assert.throws(() => player.load('a.mp4'), /no network/);
+
+  let json = null;
+  logger.write((text) => {
+    json = text;
+  });
+  const [resourceSpans] = JSON.parse(json).resourceSpans;
+  assert.deepStrictEqual(resourceSpans.resource.attributes, [
+    {key: 'service.name', value: {stringValue: 'player'}},
+  ]);
+
+  const spans = resourceSpans.scopeSpans[0].spans;
+  const load = spans.find((span) => span.name == 'Player.load');
+  const fail = spans.find((span) => span.name == 'Player.fail');
+  assert.strictEqual(load.parentSpanId, undefined);
+  assert.strictEqual(fail.parentSpanId, load.spanId);
+  assert.strictEqual(fail.traceId, load.traceId);
+
+  assert.deepStrictEqual(fail.status, {code: 2, message: 'Error: no network'});
+  assert.deepStrictEqual(
+      load.attributes.find((a) => a.key == 'trace_anything.args').value,
+      {arrayValue: {values: [{stringValue: 'a.mp4'}]}});
+  assert.deepStrictEqual(
+      load.events.map((event) => event.name), ['Player loading event']);
+});
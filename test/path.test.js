@@ -0,0 +1,77 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('traces methods and accessors by their path', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const capabilities = {
+    decodingInfo(config) {
+      return config.type;
+    },
+    get supported() {
+      return true;
+    },
+  };
+  const root = {navigator: {capabilities}};
+  const logs = [];
+  const options = {logger: (log) => logs.push(log)};
+
+  const handle = TraceAnything.tracePath(
+      'navigator.capabilities.decodingInfo', options, root);
+  TraceAnything.tracePath('navigator.capabilities.supported', options, root);
+  assert.strictEqual(handle.traced, capabilities);
+
+  assert.strictEqual(
+      root.navigator.capabilities.decodingInfo({type: 'file'}), 'file');
+  assert.strictEqual(root.navigator.capabilities.supported, true);
+  assert.deepStrictEqual(
+      logs.map((log) => [log.methodName || log.memberName, log.result]), [
+        ['decodingInfo', 'file'],
+        ['supported', true],
+      ]);
+});
+
+test('waits for parts of the path to be defined', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const root = {};
+  const handle = TraceAnything.tracePath('polyfill.Source.isTypeSupported', {
+    logger: (log) => logs.push(log),
+  }, root);
+  assert.strictEqual(handle.traced, undefined);
+
+  root.polyfill = {};
+  root.polyfill.Source = {isTypeSupported: (type) => type == 'video/mp4'};
+  assert.strictEqual(root.polyfill.Source.isTypeSupported('video/mp4'), true);
+  assert.strictEqual(logs.length, 1);
+  assert.strictEqual(logs[0].methodName, 'isTypeSupported');
+  assert.strictEqual(handle.traced, root.polyfill.Source);
+
+  handle.restore();
+  root.polyfill.Source.isTypeSupported('video/mp4');
+  assert.strictEqual(logs.length, 1);
+});
+
+test('traces every member with a wildcard', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const Source = {
+    isTypeSupported: () => true,
+    canConstructInDedicatedWorker: () => false,
+  };
+  const handle = TraceAnything.tracePath('Source.*', {
+    logger: (log) => logs.push(log),
+  }, {Source});
+
+  Source.isTypeSupported();
+  Source.canConstructInDedicatedWorker();
+  assert.deepStrictEqual(logs.map((log) => log.methodName),
+      ['isTypeSupported', 'canConstructInDedicatedWorker']);
+
+  handle.restore();
+  Source.isTypeSupported();
+  assert.strictEqual(logs.length, 2);
+});
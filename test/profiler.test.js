@@ -0,0 +1,82 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('summarizes any number of calls exactly', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  // Each call takes one tick of this clock.
+  let now = 0;
+  const profiler = new TraceAnything.Profiler();
+  const foo = TraceAnything.traceObject({
+    bar() {
+      now++;
+    },
+  }, {logger: profiler, clock: () => now}).traced;
+
+  for (let i = 0; i < 5000; i++) {
+    foo.bar();
+  }
+
+  const entry = profiler.getReport().members.find(
+      (member) => member.memberName == 'bar');
+  assert.deepStrictEqual(entry.sync, {
+    count: 5000,
+    total: 5000,
+    mean: 1,
+    p50: 1,
+    p95: 1,
+    max: 1,
+  });
+});
+
+test('counts async calls once they settle', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const profiler = new TraceAnything.Profiler();
+  const foo = TraceAnything.traceObject({
+    async bar(fail) {
+      if (fail) {
+        throw new Error('fail');
+      }
+    },
+  }, {logger: profiler}).traced;
+
+  await foo.bar(false);
+  await foo.bar(true).catch(() => {});
+
+  const entry = profiler.getReport().members.find(
+      (member) => member.memberName == 'bar');
+  assert.strictEqual(entry.async.count, 1);
+  assert.strictEqual(entry.rejected, 1);
+});
+
+test('does not keep logs of calls which never finish', {
+  skip: typeof global.gc != 'function' && 'needs --expose-gc',
+}, async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const profiler = new TraceAnything.Profiler();
+  let collected = false;
+  const registry = new FinalizationRegistry(() => {
+    collected = true;
+  });
+
+  const foo = TraceAnything.traceObject({
+    bar() {
+      return new Promise(() => {});
+    },
+  }, {
+    logger: (log) => {
+      registry.register(log, null);
+      profiler.log(log);
+    },
+  }).traced;
+  foo.bar();
+
+  for (let i = 0; i < 10 && !collected; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    global.gc();
+  }
+  assert.ok(collected);
+});
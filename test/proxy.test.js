@@ -0,0 +1,51 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('traces a frozen object without modifying it', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Foo {
+    bar(x) {
+      return x + 1;
+    }
+  }
+  const object = Object.freeze(Object.assign(new Foo(), {
+    value: 1,
+    own: () => 2,
+  }));
+
+  const logs = [];
+  const proxy = TraceAnything.traceObject(object, {
+    mode: TraceAnything.Modes.Proxy,
+    logger: (log) => logs.push(log),
+  }).traced;
+
+  assert.strictEqual(proxy.bar(1), 2);
+  assert.strictEqual(proxy.value, 1);
+  // A frozen method must be returned as it is, per the Proxy invariants.
+  assert.strictEqual(proxy.own, object.own);
+  assert.deepStrictEqual(Object.keys(object), ['value', 'own']);
+
+  const methodLog = logs.find((log) => log.methodName == 'bar');
+  assert.ok(methodLog);
+  assert.strictEqual(methodLog.instanceId, 'Foo_1');
+});
+
+test('leaves the constructor alone', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Foo {
+    static create() {
+      return new Foo();
+    }
+  }
+
+  const proxy = TraceAnything.traceObject(new Foo(), {
+    mode: TraceAnything.Modes.Proxy,
+    logger: () => {},
+  }).traced;
+
+  assert.strictEqual(proxy.constructor, Foo);
+  assert.ok(proxy.constructor.create() instanceof Foo);
+});
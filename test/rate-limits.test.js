@@ -0,0 +1,25 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('ignores inherited names in rateLimits', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const object = TraceAnything.traceObject({
+    toString: () => 'x',
+    load: () => {},
+  }, {
+    logger: (log) => logs.push(log),
+    rateLimits: {load: 1},
+  }).traced;
+
+  for (let i = 0; i < 3; i++) {
+    object.toString();
+    object.load();
+  }
+
+  const names = logs.map((log) => log.methodName);
+  assert.strictEqual(names.filter((name) => name == 'toString').length, 3);
+  assert.strictEqual(names.filter((name) => name == 'load').length, 1);
+});
@@ -0,0 +1,81 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('finds recorded logs by instance, name, type, and errors', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const recorder = new TraceAnything.Recorder();
+  const options = {logger: recorder, idProperty: null};
+  const player = TraceAnything.traceObject({
+    load() {
+      this.parse();
+    },
+    parse() {},
+    fail() {
+      throw new Error('no network');
+    },
+  }, options).traced;
+  const other = TraceAnything.traceObject({load() {}}, options).traced;
+
+  player.load();
+  other.load();
+  assert.throws(() => player.fail());
+
+  const {Method} = TraceAnything.LogTypes;
+  assert.strictEqual(recorder.size, 4);
+  assert.deepStrictEqual(
+      recorder.query({name: 'load'}).map((log) => log.instanceId),
+      ['Object_1', 'Object_2']);
+  assert.deepStrictEqual(
+      recorder.query({threw: true}).map((log) => log.methodName), ['fail']);
+  assert.strictEqual(recorder.query({type: Method}).length, 4);
+
+  // Nested calls are logged first, but come second on the timeline.
+  assert.deepStrictEqual(
+      recorder.getTimeline('Object_1').map((log) => log.methodName),
+      ['load', 'parse', 'fail']);
+});
+
+test('discards the oldest logs when full', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const recorder = new TraceAnything.Recorder({capacity: 2});
+  const player = TraceAnything.traceObject({
+    load(url) {},
+  }, {logger: recorder}).traced;
+
+  player.load('a.mp4');
+  player.load('b.mp4');
+  player.load('c.mp4');
+
+  assert.strictEqual(recorder.discarded, 1);
+  assert.deepStrictEqual(
+      recorder.getLogs().map((log) => log.args[0]), ['b.mp4', 'c.mp4']);
+
+  recorder.clear();
+  assert.strictEqual(recorder.size, 0);
+  assert.strictEqual(recorder.discarded, 0);
+});
+
+test('snapshots keep async results as they were', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  let resolve = null;
+  const recorder = new TraceAnything.Recorder();
+  const player = TraceAnything.traceObject({
+    load() {
+      return new Promise((r) => resolve = r);
+    },
+  }, {logger: recorder}).traced;
+
+  const loaded = player.load();
+  const snapshot = recorder.snapshot();
+  resolve('done');
+  await loaded;
+
+  const [log] = recorder.getLogs();
+  assert.strictEqual(log.asyncResult, 'done');
+  assert.strictEqual(snapshot.length, 1);
+  assert.ok(!('asyncResult' in snapshot[0]));
+});
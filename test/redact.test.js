@@ -0,0 +1,43 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('redacts the values of async results logged immediately', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const api = TraceAnything.traceObject({
+    getToken: async () => ({token: 'secret', expires: 1}),
+  }, {
+    logger: (log) => logs.push(log),
+    redact: [{member: 'Object.getToken', paths: ['result.token']}],
+  }).traced;
+
+  const result = await api.getToken();
+  assert.strictEqual(result.token, 'secret');
+
+  const [log] = logs;
+  assert.strictEqual(typeof log.result.then, 'function');
+  assert.deepStrictEqual(await log.result, {token: '[REDACTED]', expires: 1});
+  assert.deepStrictEqual(log.asyncResult, {token: '[REDACTED]', expires: 1});
+});
+
+test('hashes undefined results without breaking the call', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const logs = [];
+  const session = TraceAnything.traceObject({
+    update() {},
+    async updateAsync() {},
+  }, {
+    logger: (log) => logs.push(log),
+    redact: [{member: /\.update(Async)?$/, paths: ['result'], hash: true}],
+  }).traced;
+
+  assert.strictEqual(session.update(), undefined);
+  assert.strictEqual(await session.updateAsync(), undefined);
+
+  assert.match(logs[0].result, /^\[hash:[0-9a-f]+\]$/);
+  assert.match(await logs[1].result, /^\[hash:[0-9a-f]+\]$/);
+  assert.strictEqual(logs[1].asyncResult, logs[0].result);
+});
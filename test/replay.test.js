@@ -0,0 +1,46 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+/**
+ * @param {?} value
+ * @return {!Object} A trace of one Foo, whose get() returned the value.
+ */
+function recordFoo(value) {
+  class Foo {
+    get() {
+      return value;
+    }
+  }
+
+  const recorder = new TraceAnything.ReplayRecorder();
+  const handle = TraceAnything.traceClass(Foo, {
+    logger: recorder,
+    discovery: TraceAnything.Discovery.PrototypeChain,
+  });
+  new handle.traced().get();
+  handle.restore();
+  return JSON.parse(JSON.stringify(recorder));
+}
+
+test('replays plain objects with their own $type field', () => {
+  const value = {$type: 'Date', value: 1, nested: {$type: 'x'}};
+  const replay = TraceAnything.replay(recordFoo(value), {logger: () => {}});
+
+  const Foo = replay.getClass('Foo');
+  assert.deepStrictEqual(new Foo().get(), value);
+});
+
+test('reports unrecorded constructors without an instance ID', () => {
+  const warnings = [];
+  const replay = TraceAnything.replay(recordFoo(1), {
+    logger: (log) => warnings.push(log),
+  });
+
+  const Bar = replay.getClass('Bar');
+  new Bar();
+  assert.strictEqual(replay.mismatches[0].instanceId, null);
+  assert.strictEqual(replay.mismatches[0].message,
+      'Replay: new Bar was not recorded');
+  assert.strictEqual(warnings[0].instanceId, undefined);
+});
@@ -0,0 +1,96 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {JSDOM} = require('jsdom');
+const {TraceAnything} = require('../trace-anything.js');
+
+/**
+ * @return {!Promise} Resolved after pending MutationObserver callbacks run.
+ */
+function mutationsDelivered() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+test('traces elements matching a selector, now or later', async (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const {document} = new JSDOM(`
+    <video class="player"></video>
+    <video></video>
+    <audio></audio>
+  `).window;
+
+  const selector = 'video.player, audio[data-trace]';
+  const handle = TraceAnything.traceSelector(selector, {
+    logger: () => {},
+    properties: false,
+    methods: false,
+  }, document);
+
+  const [player, other] = document.querySelectorAll('video');
+  const audio = document.querySelector('audio');
+  assert.ok(player.__TraceAnything__);
+  assert.ok(!other.__TraceAnything__);
+  assert.ok(!audio.__TraceAnything__);
+
+  // Elements which start to match when their attributes change.
+  audio.setAttribute('data-trace', '');
+  other.classList.add('player');
+  await mutationsDelivered();
+  assert.ok(audio.__TraceAnything__);
+  assert.ok(other.__TraceAnything__);
+
+  handle.restore();
+  assert.ok(!player.__TraceAnything__);
+  assert.ok(!audio.__TraceAnything__);
+});
+
+test('traces custom elements as they are defined', async (t) => {
+  const {window} = new JSDOM('<my-player id="early"></my-player>');
+  globalThis.document = window.document;
+  globalThis.customElements = window.customElements;
+  t.after(() => {
+    TraceAnything.untraceAll();
+    delete globalThis.document;
+    delete globalThis.customElements;
+  });
+
+  const logs = [];
+  const handle = TraceAnything.hookCustomElements(/^my-/, {
+    logger: (log) => logs.push(log),
+    discovery: TraceAnything.Discovery.PrototypeChain,
+    stopPrototypes: [window.HTMLElement.prototype],
+  });
+
+  class MyPlayer extends window.HTMLElement {
+    load() {}
+  }
+  class OtherPlayer extends window.HTMLElement {
+    load() {}
+  }
+  window.customElements.define('my-player', MyPlayer);
+  window.customElements.define('other-player', OtherPlayer);
+
+  // Created by the parser before the element was defined.
+  const early = window.document.getElementById('early');
+  assert.ok(early.__TraceAnything__);
+  early.load();
+
+  const later = window.document.createElement('my-player');
+  window.document.body.appendChild(later);
+  const other = window.document.createElement('other-player');
+  window.document.body.appendChild(other);
+  await mutationsDelivered();
+  later.load();
+  other.load();
+
+  assert.deepStrictEqual(
+      logs.map((log) => [log.className, log.methodName]), [
+        ['MyPlayer', 'load'],
+        ['MyPlayer', 'load'],
+      ]);
+
+  handle.restore();
+  assert.ok(!Object.prototype.hasOwnProperty.call(
+      window.customElements, 'define'));
+  assert.ok(!early.__TraceAnything__);
+});
@@ -0,0 +1,34 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('serializes prototype-traced instances by ID', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Foo {
+    constructor() {
+      this.a = 1;
+    }
+
+    bar() {}
+  }
+
+  const logs = [];
+  TraceAnything.tracePrototype(Foo, 'bar', {
+    logger: (log) => logs.push(log),
+    discovery: TraceAnything.Discovery.PrototypeChain,
+  });
+
+  const foo = new Foo();
+  foo.bar();
+  const serialized = TraceAnything.serializeLog({
+    type: TraceAnything.LogTypes.Method,
+    args: [foo, {nested: foo}],
+  });
+
+  assert.strictEqual(logs.length, 1);
+  assert.deepStrictEqual(serialized.args, [logs[0].instanceId, {
+    nested: logs[0].instanceId,
+  }]);
+  assert.ok(!JSON.stringify(serialized).includes('__TraceAnything'));
+});
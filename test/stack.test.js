@@ -0,0 +1,27 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('captures the stack from the app call site', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  class Foo {
+    bar() {}
+  }
+
+  const logs = [];
+  const foo = TraceAnything.traceObject(new Foo(), {
+    logger: (log) => logs.push(log),
+    captureStack: true,
+    discovery: TraceAnything.Discovery.PrototypeChain,
+  }).traced;
+
+  function callSite() {
+    foo.bar();
+  }
+  callSite();
+
+  const frames = logs[0].stack.split('\n');
+  assert.match(frames[0], /\bcallSite\b/);
+  assert.ok(frames.length <= 10);
+});
@@ -0,0 +1,49 @@
+const assert = require('node:assert');
+const {test} = require('node:test');
+const {TraceAnything} = require('../trace-anything.js');
+
+test('prints one line of plain text per log', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  const lines = [];
+  const player = TraceAnything.traceObject({
+    load(url, options) {
+      return {url, ...options};
+    },
+    fail() {
+      throw new TypeError('bad url');
+    },
+  }, {
+    logger: TraceAnything.createTextLogger({
+      format: '{instanceId} {summary}',
+      sink: (line) => lines.push(line),
+    }),
+    idProperty: null,
+  }).traced;
+
+  player.load('a.mp4', {loop: true});
+  assert.throws(() => player.fail(), TypeError);
+
+  assert.deepStrictEqual(lines, [
+    'Object_1 Object.load("a.mp4", {"loop":true}) => ' +
+        '{"url":"a.mp4","loop":true}',
+    'Object_1 Object.fail() threw TypeError: bad url',
+  ]);
+});
+
+test('writes to streams and custom formats', (t) => {
+  t.after(() => TraceAnything.untraceAll());
+
+  let output = '';
+  const player = TraceAnything.traceObject({
+    load() {},
+  }, {
+    logger: TraceAnything.createTextLogger({
+      format: (fields, log) => `${fields.type}:${log.methodName}`,
+      sink: {write: (text) => output += text},
+    }),
+  }).traced;
+
+  player.load();
+  assert.strictEqual(output, 'Method:load\n');
+});
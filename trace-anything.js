@@ -26,49 +26,108 @@
 class TraceAnything {
   /**
    * Trace all instances of a certain class.  If the constructor is usable
-   * directly, you must overwrite the original constructor with the return
-   * value.  Otherwise, you can ignore the return value and TraceAnything will
-   * recognize and trace instances of this class that are returned from other
-   * traced methods.
+   * directly, you must overwrite the original constructor with the traced
+   * constructor in the returned handle.  Otherwise, you can ignore the traced
+   * constructor and TraceAnything will recognize and trace instances of this
+   * class that are returned from other traced methods.
    *
    * @param {function} ctor A constructor whose instances you want to trace.
    * @param {TraceAnything.Options} options
-   * @return {function} A replacement constructor whose instances will have
-   *   their properties, methods, and/or events traced.  options.inPlace has no
-   *   effect here.
+   * @return {!TraceAnything.Handle} A handle whose "traced" field is a
+   *   replacement constructor whose instances will have their properties,
+   *   methods, and/or events traced.  options.inPlace has no effect here.  If
+   *   options.mode is "proxy", the replacement constructor is a Proxy of the
+   *   original, and instances will be Proxies, too.
+   *   Restoring the handle restores all instances traced so far, and instances
+   *   constructed afterward will not be traced.
    */
   static traceClass(ctor, options) {
     options = Object.assign({}, TraceAnything.defaultOptions, options);
+    return TraceAnything._traceClass(ctor, options, null);
+  }
 
-    TraceAnything._shimmedClasses.set(ctor, options);
+  /**
+   * @param {function(new:Object, ...?)} ctor
+   * @param {TraceAnything.Options} options
+   * @param {TraceAnything.Handle} parent
+   * @return {!TraceAnything.Handle}
+   * @private
+   */
+  static _traceClass(ctor, options, parent) {
+    const handle = new TraceAnything.Handle(options, parent);
+    TraceAnything._shimmedClasses.set(ctor, handle);
+    handle._addUndoStep(() => {
+      // Don't clobber a newer call to traceClass for the same class.
+      if (TraceAnything._shimmedClasses.get(ctor) == handle) {
+        TraceAnything._shimmedClasses.delete(ctor);
+      }
+    });
 
-    return function(...args) {
-      const className = ctor.name;
-      const log = {
-        timestamp: Date.now(),
-        type: TraceAnything.LogTypes.Constructor,
-        className,
-        args,
+    if (options.mode == TraceAnything.Modes.Proxy) {
+      // A proxy keeps static members and instanceof checks working.
+      handle.traced = new Proxy(ctor, {
+        construct: (target, args) => {
+          if (handle.restored) {
+            return new ctor(...args);
+          }
+          return TraceAnything._construct(ctor, args, options, handle);
+        },
+      });
+    } else {
+      handle.traced = function(...args) {
+        if (handle.restored) {
+          // The app may still be holding onto this replacement constructor.
+          return new ctor(...args);
+        }
+        return TraceAnything._construct(ctor, args, options, handle);
       };
+    }
 
-      try {
-        const original = new ctor(...args);
-        const traced = TraceAnything.traceObject(original, options);
-
-        log.instance = traced;
-        log.instanceId = TraceAnything._getId(traced, className, options);
-        log.result = original;
-        log.duration = Date.now() - log.timestamp;
-        options.logger(log);
+    return handle;
+  }
 
-        return traced;
-      } catch (error) {
-        log.threw = error;
-        log.duration = Date.now() - log.timestamp;
-        options.logger(log);
-        throw error;
-      }
+  /**
+   * Construct an instance of a class, trace it, and log the call.
+   *
+   * @param {function} ctor The original constructor.
+   * @param {!Array<?>} args The arguments to the constructor.
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle The handle through which the new
+   *   instance can be restored.
+   * @return {!Object} The traced instance.
+   * @private
+   */
+  static _construct(ctor, args, options, handle) {
+    const className = ctor.name;
+    const log = {
+      timestamp: Date.now(),
+      type: TraceAnything.LogTypes.Constructor,
+      className,
+      args,
     };
+    TraceAnything._startCall(log, options);
+
+    if (options.traceCallbackArgs) {
+      args = TraceAnything._wrapCallbackArgs(args, log, options);
+    }
+
+    try {
+      const original = TraceAnything._runInCall(log, () => new ctor(...args));
+      const traced = TraceAnything._traceObject(original, options, handle);
+
+      log.instance = traced;
+      log.instanceId = TraceAnything._getId(traced, className, options);
+      log.result = original;
+      TraceAnything._endCall(log, options);
+      TraceAnything._log(log, options);
+
+      return traced;
+    } catch (error) {
+      log.threw = error;
+      TraceAnything._endCall(log, options);
+      TraceAnything._log(log, options);
+      throw error;
+    }
   }
 
   /**
@@ -77,31 +136,60 @@ class TraceAnything {
    *
    * @param {!Object} object The object you would like to trace.
    * @param {TraceAnything.Options} options
-   * @return {!Object} A replacement object whose properties, methods, and/or
-   *   events will be traced.  If options.inPlace is true, "object" will be
-   *   modified in-place and returned.
+   * @return {!TraceAnything.Handle} A handle whose "traced" field is a
+   *   replacement object whose properties, methods, and/or events will be
+   *   traced.  If options.inPlace is true, "object" will be modified in-place
+   *   and will be the traced object.
    */
   static traceObject(object, options) {
     options = Object.assign({}, TraceAnything.defaultOptions, options);
 
+    const handle = new TraceAnything.Handle(options, null);
+    handle.traced = TraceAnything._traceObject(object, options, handle);
+    return handle;
+  }
+
+  /**
+   * Trace a single object, and make it restorable through a parent handle.
+   *
+   * @param {!Object} object The object to trace.
+   * @param {TraceAnything.Options} options The complete set of options.
+   * @param {!TraceAnything.Handle} parent The handle through which this object
+   *   can be restored.
+   * @return {!Object} The traced object.
+   * @private
+   */
+  static _traceObject(object, options, parent) {
     if (object.__TraceAnything__) {
       // We're already tracing this!
       return object;
     }
 
+    if (TraceAnything._proxies.has(object)) {
+      // We're already tracing this through a proxy, which the app should see
+      // instead of the original.
+      return TraceAnything._proxies.get(object);
+    }
+
+    if (options.mode == TraceAnything.Modes.Proxy) {
+      return TraceAnything._traceObjectWithProxy(object, options, parent);
+    }
+
     const ctor = Object.getPrototypeOf(object).constructor;
     const className = ctor.name;
     const traced = options.inPlace ? object : {};
+    const handle = new TraceAnything.Handle(options, parent, object);
+    handle.traced = traced;
 
-    // A list of all property names.
-    const allProperties = [];
+    // Remove our markers last, after all the shims are gone.
+    handle._addUndoStep(() => {
+      delete traced.__TraceAnything__;
+      delete traced.__TraceAnythingEvents__;
+      TraceAnything._generatedIds.delete(traced);
+    });
 
-    // Shim all enumerable members.
-    for (const k in object) {
-      if (!options.skipProperties.includes(k)) {
-        allProperties.push(k);
-      }
-    }
+    // A list of all property names, starting with those we can discover.
+    const allProperties = TraceAnything._discoverMembers(object, options);
 
     // Shim any "extra" properties, such as non-enumerable ones we wouldn't
     // find in the loop above, or non-standard properties which the caller
@@ -110,25 +198,39 @@ class TraceAnything {
       allProperties.push(k);
     }
 
-    for (const k of allProperties) {
-      // TODO: This "on" discovery mechanism can cover up non-event properties
-      // that start with "on", such as Navigator.onLine.
-      if (k.startsWith('on') && options.events) {
-        // If we shim event listeners separately, ignore this event listener
-        // property at this stage.
-        continue;
+    // Event handler properties, such as "onfoo", are shimmed separately.
+    const eventProperties = [];
+    if (options.events) {
+      for (const k of options.eventHandlerProperties) {
+        if (k in object && !allProperties.includes(k)) {
+          allProperties.push(k);
+        }
+      }
+      for (const k of allProperties) {
+        if (TraceAnything._isEventHandlerProperty(object, k, options)) {
+          eventProperties.push(k);
+        }
       }
+    }
 
-      TraceAnything._shimMember(traced, object, k, className, options);
+    for (const k of allProperties) {
+      if (!eventProperties.includes(k)) {
+        TraceAnything._shimMember(
+            traced, object, k, className, options, handle);
+      }
     }
 
     traced.__TraceAnythingEvents__ = new Set();
 
+    // Our own listeners for extraEvents below must not go through the shim of
+    // addEventListener, or they would be mistaken for the app's.
+    const addEventListener = object.addEventListener;
+
     if (options.events) {
       // Shim any "on" event listener properties.
-      for (const k of allProperties.filter((k) => k.startsWith('on'))) {
+      for (const k of eventProperties) {
         TraceAnything._shimEventListenerProperty(
-            traced, object, k, className, options);
+            traced, object, k, className, options, handle);
       }
 
       // If there's an addEventListener method, we will use that to discover
@@ -136,7 +238,7 @@ class TraceAnything {
       // property.
       if (object.addEventListener) {
         TraceAnything._shimEventListenersDynamically(
-            traced, object, className, options);
+            traced, object, className, options, handle);
       }
     }
 
@@ -144,14 +246,17 @@ class TraceAnything {
     // non-discoverable events which have no equivalent "on" property and may
     // not be used by the application.  This also allows the user to request
     // certain explicit events without tracing all events.
-    for (const eventName in options.extraEvents) {
+    for (const eventName of options.extraEvents) {
       // Since we may be shimming addEventListener, add this event to the set
-      // before setting the listener.
+      // so that the shim won't add another listener for it.
       traced.__TraceAnythingEvents__.add(eventName);
 
       const listener = TraceAnything._shimEventListener(
-          object, () => {}, className, eventName, options);
-      traced.addEventListener(eventName, listener);
+          object, null, className, eventName, options);
+      addEventListener.call(traced, eventName, listener);
+      handle._addUndoStep(() => {
+        traced.removeEventListener(eventName, listener);
+      });
     }
 
     // Make the traced type an instance of the original type, so instanceof
@@ -174,826 +279,6560 @@ class TraceAnything {
   }
 
   /**
-   * Trace a single member (method or property) of a single object.
+   * Trace a single object through a Proxy, which can see every member
+   * accessed, including those added after tracing started.
    *
-   * @param {!Object} object The object you would like to trace.
-   * @param {string} name The name of the member you would like to trace.
-   * @param {TraceAnything.Options} options
-   * @return {?} A replacement member which will be traced.  If options.inPlace
-   *   is true, "object" will be modified in-place to replace the original
-   *   member.
+   * @param {!Object} object The object to trace.
+   * @param {TraceAnything.Options} options The complete set of options.
+   * @param {!TraceAnything.Handle} parent The handle through which this object
+   *   can be restored.
+   * @return {!Object} The traced Proxy.
+   * @private
    */
-  static traceMember(object, name, options) {
-    options = Object.assign({}, TraceAnything.defaultOptions, options);
+  static _traceObjectWithProxy(object, options, parent) {
+    // A function is its own "class" here, so that calls to it, and to its
+    // static members, are logged under its own name.
+    const className = typeof object == 'function' ?
+        object.name : Object.getPrototypeOf(object).constructor.name;
+    const handle = new TraceAnything.Handle(options, parent, object);
 
-    const ctor = Object.getPrototypeOf(object).constructor;
-    const traced = options.inPlace ? object : {};
-    TraceAnything._shimMember(traced, object, name, ctor.name, options);
-    return traced[name];
+    // Events we are listening for, the app's "on" event listeners, and our own
+    // listeners, which must be removed when the handle is restored.
+    const events = new Set();
+    const appListeners = new Map();
+    const addedListeners = [];
+
+    // Wrapped methods, so that the same wrapper is returned on each access.
+    const methods = new Map();
+
+    // Whether or not a member should be logged.
+    const isTraced = (k) => !TraceAnything._isMarker(k) &&
+        !options.skipProperties.includes(k) &&
+        TraceAnything._matchesMemberPatterns(k, options);
+
+    // Whether or not a member is an event handler property, such as "onfoo".
+    // This is decided once per member, since the value changes once shimmed.
+    const eventProperties = new Map();
+    const isEventProperty = (k) => {
+      if (!options.events) {
+        return false;
+      }
+      if (!eventProperties.has(k)) {
+        eventProperties.set(k, TraceAnything._isEventHandlerProperty(
+            object, k, options) &&
+            !options.skipEvents.includes(k.replace(/^on/, '')));
+      }
+      return eventProperties.get(k);
+    };
+
+    // Whether or not a member is a non-configurable, read-only data property.
+    // The Proxy invariants require these to be returned as they are.
+    const isFixed = (k) => {
+      const descriptor = Object.getOwnPropertyDescriptor(object, k);
+      return !!descriptor && !descriptor.configurable && !descriptor.writable;
+    };
+
+    // The "this" value for the original object's members.  Native members
+    // will not accept the Proxy in place of the original.
+    const unwrap = (receiver) => TraceAnything._unwrap(receiver);
+
+    const addListener = (target, eventName) => {
+      events.add(eventName);
+
+      const listener = TraceAnything._shimEventListener(
+          proxy, null, className, eventName, options);
+      target.addEventListener(eventName, listener);
+      addedListeners.push({target, eventName, listener});
+    };
+
+    const wrapMethod = (k, originalMethod) => {
+      const cached = methods.get(k);
+      if (cached && cached.originalMethod == originalMethod) {
+        return cached.wrapper;
+      }
+
+      const methodName = String(k);
+      const wrapper = function(...args) {
+        if (new.target) {
+          // This is a class stored as a member, such as window.MediaSource.
+          return Reflect.construct(originalMethod, args);
+        }
+
+        const thisArg = unwrap(this);
+
+        if (k == 'addEventListener' && options.events && !handle.restored) {
+          // Discover events the app is listening for that may not have a
+          // corresponding "on" property.
+          const eventName = args[0];
+          if (!events.has(eventName) &&
+              !options.skipEvents.includes(eventName)) {
+            addListener(thisArg, eventName);
+          }
+          args = TraceAnything._addAppListener(
+              proxy, thisArg, args, className, options);
+        } else if (k == 'removeEventListener' && options.events &&
+                   !handle.restored) {
+          args = TraceAnything._removeAppListener(thisArg, args);
+        }
+
+        if (handle.restored || !options.methods || !isTraced(k)) {
+          return originalMethod.apply(thisArg, args);
+        }
+
+        return TraceAnything._invokeMethod(
+            originalMethod, this, thisArg, args, className, methodName,
+            options);
+      };
+
+      methods.set(k, {originalMethod, wrapper});
+      return wrapper;
+    };
+
+    const proxy = new Proxy(object, {
+      get: (target, k, receiver) => {
+        if (!handle.restored) {
+          if (k == '__TraceAnything__') {
+            return true;
+          } else if (k == '__TraceAnythingEvents__') {
+            return events;
+          }
+        }
+
+        // The app gets back its own event listener, rather than our shim.
+        if (!handle.restored && appListeners.has(k)) {
+          return appListeners.get(k);
+        }
+
+        const descriptor = TraceAnything._getDescriptor(target, k);
+        let value;
+        if (descriptor && descriptor.get && !handle.restored &&
+            options.properties && isTraced(k) && !isEventProperty(k)) {
+          value = TraceAnything._invokeGetter(
+              descriptor.get, receiver, unwrap(receiver), className, String(k),
+              options);
+        } else {
+          value = Reflect.get(target, k, unwrap(receiver));
+        }
+
+        // The constructor is left alone, so that it still matches the class,
+        // and its static members can be reached.
+        if (typeof value == 'function' && !TraceAnything._isMarker(k) &&
+            k != 'constructor' && !isEventProperty(k) && !isFixed(k)) {
+          return wrapMethod(k, value);
+        }
+        return value;
+      },
+
+      set: (target, k, value, receiver) => {
+        if (handle.restored || !isTraced(k)) {
+          return Reflect.set(target, k, value, unwrap(receiver));
+        }
+
+        if (isEventProperty(k)) {
+          const eventName = k.replace(/^on/, '');
+
+          // Listen for the event ourselves, so that it is still traced when
+          // the app clears the property.
+          if (!events.has(eventName)) {
+            if (typeof target.addEventListener == 'function') {
+              addListener(target, eventName);
+            } else {
+              events.add(eventName);
+            }
+          }
+
+          // Like the original, anything but an object or function clears it.
+          const listener = Object(value) === value ? value : null;
+          appListeners.set(k, listener);
+
+          const shim = listener && TraceAnything._shimEventListener(
+              proxy, listener, className, eventName, options);
+          return Reflect.set(target, k, shim, unwrap(receiver));
+        }
+
+        const setter = (value) =>
+          Reflect.set(target, k, value, unwrap(receiver));
+        if (!options.properties) {
+          return setter(value);
+        }
+        return TraceAnything._invokeSetter(
+            setter, receiver, undefined, value, className, String(k), options);
+      },
+
+      has: (target, k) => {
+        if (!handle.restored && k == '__TraceAnything__') {
+          return true;
+        }
+        if (handle.restored || !options.properties || !isTraced(k)) {
+          return Reflect.has(target, k);
+        }
+
+        const result = Reflect.has(target, k);
+        TraceAnything._log({
+          timestamp: Date.now(),
+          duration: 0,
+          type: TraceAnything.LogTypes.Has,
+          instance: proxy,
+          instanceId: TraceAnything._getId(proxy, className, options),
+          className,
+          memberName: String(k),
+          result,
+        }, options);
+        return result;
+      },
+
+      deleteProperty: (target, k) => {
+        methods.delete(k);
+        if (handle.restored || !options.properties || !isTraced(k)) {
+          return Reflect.deleteProperty(target, k);
+        }
+
+        const result = Reflect.deleteProperty(target, k);
+        TraceAnything._log({
+          timestamp: Date.now(),
+          duration: 0,
+          type: TraceAnything.LogTypes.Delete,
+          instance: proxy,
+          instanceId: TraceAnything._getId(proxy, className, options),
+          className,
+          memberName: String(k),
+          result,
+        }, options);
+        return result;
+      },
+
+      apply: (target, thisArg, args) => {
+        if (handle.restored || !options.methods) {
+          return Reflect.apply(target, thisArg, args);
+        }
+        return TraceAnything._invokeMethod(
+            target, proxy, thisArg, args, className, undefined, options);
+      },
+
+      construct: (target, args) => {
+        if (handle.restored) {
+          return new target(...args);
+        }
+        return TraceAnything._construct(target, args, options, handle);
+      },
+    });
+
+    handle.traced = proxy;
+    TraceAnything._proxies.set(object, proxy);
+    TraceAnything._proxyTargets.set(proxy, object);
+
+    handle._addUndoStep(() => {
+      if (TraceAnything._proxies.get(object) == proxy) {
+        TraceAnything._proxies.delete(object);
+      }
+      // Leave _proxyTargets alone, since the app may still call native
+      // methods through the proxy, which must be called on the original.
+      TraceAnything._generatedIds.delete(object);
+
+      for (const {target, eventName, listener} of addedListeners) {
+        target.removeEventListener(eventName, listener);
+      }
+      for (const [k, listener] of appListeners) {
+        object[k] = listener;
+      }
+      if (object.addEventListener) {
+        TraceAnything._unwrapAppListeners(
+            object, object.addEventListener, object.removeEventListener);
+      }
+    });
+
+    for (const k in object) {
+      if (!isTraced(k) || isFixed(k)) {
+        continue;
+      }
+
+      if (isEventProperty(k)) {
+        // Set the old listener again (which may be null or undefined) to shim
+        // it right away.
+        proxy[k] = object[k];
+      } else if (options.properties && options.treatPromisePropertiesAsEvents &&
+                 object[k] && object[k].then) {
+        TraceAnything._shimPromiseProperty(
+            proxy, object, k, className, options, handle);
+      }
+    }
+
+    // Add explicit event listeners for these events.  See _traceObject().
+    if (object.addEventListener) {
+      for (const eventName of options.extraEvents) {
+        addListener(object, eventName);
+      }
+    }
+
+    TraceAnything._getId(proxy, className, options);
+
+    return proxy;
   }
 
   /**
-   * Trace a single member (method or property) of a class's prototype.
+   * Find the members of an object to trace.  See
+   * TraceAnything.Options.discovery.
    *
-   * @param {function} ctor A constructor whose instances you want to trace.
-   * @param {string} name The name of the member you would like to trace.
+   * @param {!Object} object
    * @param {TraceAnything.Options} options
-   * @return {?} A replacement member which will be traced.  If options.inPlace
-   *   is true, "ctor.prototype" will be modified in-place to replace the
-   *   original member.
+   * @return {!Array<(string|symbol)>} The names of the members, without
+   *   skipped or excluded members.
+   * @private
    */
-  static tracePrototype(ctor, name, options) {
-    options = Object.assign({}, TraceAnything.defaultOptions, options);
+  static _discoverMembers(object, options) {
+    const keys = [];
 
-    const traced = options.inPlace ? ctor.prototype : {};
-    TraceAnything._shimMember(traced, ctor.prototype, name, ctor.name, options);
-    return traced[name];
+    if (options.discovery == TraceAnything.Discovery.PrototypeChain) {
+      const seen = new Set();
+      for (let prototype = object;
+           prototype && !options.stopPrototypes.includes(prototype);
+           prototype = Object.getPrototypeOf(prototype)) {
+        // This covers both getOwnPropertyNames and getOwnPropertySymbols.
+        for (const k of Reflect.ownKeys(prototype)) {
+          if (k != 'constructor' && !seen.has(k)) {
+            seen.add(k);
+            keys.push(k);
+          }
+        }
+      }
+    } else {
+      for (const k in object) {
+        keys.push(k);
+      }
+    }
+
+    return keys.filter((k) => !TraceAnything._isMarker(k) &&
+        !options.skipProperties.includes(k) &&
+        TraceAnything._matchesMemberPatterns(k, options));
   }
 
   /**
-   * Trace all instances of a certain element name in the document.  Existing
-   * elements will be traced immediately, and the document will be monitored for
-   * new elements at runtime.
-   *
-   * @param {string} name The name of the tag of the elements you want to trace.
+   * @param {(string|symbol)} k A member name.
    * @param {TraceAnything.Options} options
+   * @return {boolean} True if the member is allowed by
+   *   options.includeMembers and options.excludeMembers.
+   * @private
    */
-  static traceElement(name, options) {
-    TraceAnything._traceExistingElements(name, options);
-    TraceAnything._tracedElementNames.set(name.toLowerCase(), options);
-    TraceAnything._setupNewElementObserver();
+  static _matchesMemberPatterns(k, options) {
+    const name = String(k);
+    const matches = (patterns) => TraceAnything._compilePatterns(patterns)
+        .some((regex) => regex.test(name));
+
+    if (options.includeMembers && !matches(options.includeMembers)) {
+      return false;
+    }
+    return !matches(options.excludeMembers);
   }
 
   /**
-   * Scan the document for elements we should be tracing, explicitly, right now.
-   * Useful in testing if you don't want to wait for the mutation observer to
-   * fire.
+   * @param {!Array<(string|!RegExp)>} patterns Globs or regular expressions.
+   * @return {!Array<!RegExp>} The patterns as regular expressions.  These are
+   *   cached, since they may be checked on every access through a proxy.
+   * @private
    */
-  static scanDocumentForNewElements() {
-    for (const [name, options] of TraceAnything._tracedElementNames) {
-      TraceAnything._traceExistingElements(name, options);
+  static _compilePatterns(patterns) {
+    let compiled = TraceAnything._compiledPatterns.get(patterns);
+    if (!compiled) {
+      compiled = patterns.map((pattern) => {
+        if (pattern instanceof RegExp) {
+          return pattern;
+        }
+
+        // In a glob, "*" matches any run of characters, and "?" matches any
+        // one character.  Everything else is literal.
+        const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp(`^${source}$`);
+      });
+      TraceAnything._compiledPatterns.set(patterns, compiled);
     }
+    return compiled;
   }
 
   /**
-   * Trace existing elements in the document.
-   *
-   * @param {string} name The name of the tag of the elements to trace.
+   * @param {!Object} object
+   * @param {(string|symbol)} k A member name.
    * @param {TraceAnything.Options} options
+   * @return {boolean} True if the member is an event handler property, such as
+   *   "onfoo".  That is, if it is listed in options.eventHandlerProperties, or
+   *   if it looks like an event handler attribute of an EventTarget: an "on"
+   *   accessor property whose value is null or a function.  This leaves alone
+   *   other members that start with "on", such as Navigator.onLine.
    * @private
    */
-  static _traceExistingElements(name, options) {
-    for (const element of document.querySelectorAll(name)) {
-      TraceAnything.traceObject(element, options);
+  static _isEventHandlerProperty(object, k, options) {
+    if (typeof k != 'string') {
+      return false;
     }
-  }
 
-  /**
-   * Set up an observer to monitor the document for new elements.  If this is
-   * run too early in the lifecycle of the page, the effect will be delayed
-   * until the page's content is fully loaded.
-   */
-  static _setupNewElementObserver() {
-    if (!document.body) {
-      // The document isn't ready yet.  Try again when it is.
-      document.addEventListener('DOMContentLoaded', () => {
-        TraceAnything.scanDocumentForNewElements();
-        TraceAnything._setupNewElementObserver();
-      });
-      return;
+    if (options.eventHandlerProperties.includes(k)) {
+      return k in object;
     }
 
-    // If this is called multiple times before DOMContentLoaded, we could end up
-    // with multiple deferred calls occurring later.  Check if we already have
-    // an observer, and do nothing if we have one.
-    if (TraceAnything._newElementObserver) {
-      return;
+    const isEventTarget =
+        (typeof EventTarget == 'function' && object instanceof EventTarget) ||
+        typeof object.addEventListener == 'function';
+    if (!k.startsWith('on') || !isEventTarget) {
+      return false;
     }
 
-    const observer = new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        for (const node of mutation.addedNodes) {
-          if (!node.tagName) {
-            continue;
-          }
+    const descriptor = TraceAnything._getDescriptor(object, k);
+    if (!descriptor || !descriptor.get || !descriptor.set) {
+      return false;
+    }
 
-          const name = node.tagName.toLowerCase();
-          const options = TraceAnything._tracedElementNames.get(name);
+    let value;
+    try {
+      value = object[k];
+    } catch (error) {
+      return false;
+    }
+    return value == null || typeof value == 'function';
+  }
 
-          if (options) {
-            TraceAnything.traceObject(node, options);
-          }
-        }
-      }
-    });
+  /**
+   * Trace a single member (method or property) of a single object.
+   *
+   * @param {!Object} object The object you would like to trace.
+   * @param {string} name The name of the member you would like to trace.
+   * @param {TraceAnything.Options} options
+   * @return {!TraceAnything.Handle} A handle whose "traced" field is a
+   *   replacement member which will be traced.  If options.inPlace is true,
+   *   "object" will be modified in-place to replace the original member.
+   */
+  static traceMember(object, name, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
 
-    observer.observe(document.documentElement, { childList: true });
-    TraceAnything._newElementObserver = observer;
+    const ctor = Object.getPrototypeOf(object).constructor;
+    const traced = options.inPlace ? object : {};
+    const handle = new TraceAnything.Handle(options, null);
+    TraceAnything._shimMember(traced, object, name, ctor.name, options, handle);
+    handle.traced = traced[name];
+    return handle;
   }
 
   /**
-   * Shim one member for tracing.
+   * Trace a single member (method or property) of a class's prototype.
    *
-   * @param {!Object} traced The traced object.
-   * @param {!Object} object The original object.
-   * @param {string} k The member name.
-   * @param {string} className The class name.
+   * @param {function} ctor A constructor whose instances you want to trace.
+   * @param {string} name The name of the member you would like to trace.
    * @param {TraceAnything.Options} options
-   * @private
+   * @return {!TraceAnything.Handle} A handle whose "traced" field is a
+   *   replacement member which will be traced, or its property descriptor if
+   *   the member is an accessor.  If options.inPlace is true,
+   *   "ctor.prototype" will be modified in-place to replace the original
+   *   member.
    */
-  static _shimMember(traced, object, k, className, options) {
-    // If we are not supposed to trace a member, we still shim it, or else
-    // reading/writing it won't trigger any native getters/setters on the
-    // underlying object.  This "silent" shim won't trace the values, but will
-    // just delegate to the underlying object.
+  static tracePrototype(ctor, name, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
 
-    if (typeof object[k] == 'function') {
-      if (options.methods) {
-        TraceAnything._shimMethod(traced, object, k, className, options);
-      } else {
-        TraceAnything._shimPropertySilent(traced, object, k, options);
-      }
-    } else if (options.properties && options.treatPromisePropertiesAsEvents &&
-               object[k] && object[k].then) {
-      TraceAnything._shimPromiseProperty(traced, object, k, className, options);
-    } else {
+    const traced = options.inPlace ? ctor.prototype : {};
+    const handle = new TraceAnything.Handle(options, null);
+
+    // Native accessors throw when read from the prototype itself, so shim them
+    // without reading their values.
+    const descriptor = TraceAnything._getDescriptor(ctor.prototype, name);
+    if (descriptor && !('value' in descriptor)) {
       if (options.properties) {
-        TraceAnything._shimProperty(traced, object, k, className, options);
+        TraceAnything._shimProperty(
+            traced, ctor.prototype, name, ctor.name, options, handle);
       } else {
-        TraceAnything._shimPropertySilent(traced, object, k, options);
+        TraceAnything._shimPropertySilent(
+            traced, ctor.prototype, name, options);
       }
+      handle.traced = TraceAnything._getDescriptor(traced, name);
+      return handle;
     }
+
+    TraceAnything._shimMember(
+        traced, ctor.prototype, name, ctor.name, options, handle);
+    handle.traced = traced[name];
+    return handle;
   }
 
   /**
-   * Shim one method for tracing.
+   * Trace a global member by its path from globalThis, such as
+   * "navigator.mediaCapabilities.decodingInfo" or
+   * "MediaSource.isTypeSupported".  The member is replaced in-place, whether it
+   * is a method or an accessor.  A final "*" traces every member of the
+   * object, such as "MediaSource.*" for all static members of MediaSource.
+   * Classes are traced as with traceClass().
    *
-   * @param {!Object} traced The traced object.
-   * @param {!Object} object The original object.
-   * @param {string} k The member name.
-   * @param {string} className The class name.
+   * If part of the path doesn't exist yet, such as a polyfill which hasn't
+   * loaded, an accessor is set in its place on the parent object, and the
+   * rest of the path is traced as soon as the app assigns it.
+   *
+   * @param {string} path A dotted path, such as "window.fetch".
    * @param {TraceAnything.Options} options
-   * @private
+   * @param {!Object=} root The object the path starts from, such as the window
+   *   of a frame.  By default, globalThis.
+   * @return {!TraceAnything.Handle} A handle whose "traced" field is the object
+   *   which owns the member, once it has been found.  Restoring it also stops
+   *   waiting for any part of the path.
    */
-  static _shimMethod(traced, object, k, className, options) {
-    const originalMethod = object[k];
+  static tracePath(path, options, root) {
+    options = Object.assign(
+        {}, TraceAnything.defaultOptions, options, {inPlace: true});
+    const handle = new TraceAnything.Handle(options, null);
 
-    // Set a shim method that logs the arguments and any return values or
-    // thrown errors.  If the return value is of a type that we are tracing,
-    // we also shim the return value.
-    traced[k] = function(...args) {
-      const log = {
-        timestamp: Date.now(),
-        type: TraceAnything.LogTypes.Method,
-        instance: this,
-        instanceId: TraceAnything._getId(this, className, options),
-        className,
-        methodName: k,
-        args,
-      };
+    const names = path.split('.');
+    const memberName = names.pop();
+    const className = names.join('.') || 'globalThis';
 
-      try {
-        const returnValue = originalMethod.apply(this, args);
-        log.result = returnValue;
-        log.duration = Date.now() - log.timestamp;
-
-        if (returnValue == null) {
-          // If this is null, it's not a Promise.  Return the value right away.
-          options.logger(log);
-          return returnValue;
-        }
-
-        // We can't shim the types coming out of async methods without waiting
-        // on the results.  This check covers both Promises and more general
-        // "thenables", of which Promises are one implementation.
-        if (returnValue.then) {
-          if (options.logAsyncResultsImmediately) {
-            options.logger(log);
+    const traceMember = (owner, k) => {
+      const value = owner[k];
+      if (typeof value == 'function' && options.methods &&
+          TraceAnything._isClass(value)) {
+        const descriptor = Object.getOwnPropertyDescriptor(owner, k);
+        if (descriptor && 'value' in descriptor && descriptor.configurable) {
+          const traced = TraceAnything._traceFunction(
+              value, owner, className, String(k), options, handle);
+          if (traced !== value) {
+            TraceAnything._saveMember(owner, owner, k, handle, null);
+            Object.defineProperty(owner, k,
+                Object.assign({}, descriptor, {value: traced}));
           }
-
-          const promiseShim = new Promise((resolve, reject) => {
-            returnValue.then((asyncValue) => {
-              asyncValue = TraceAnything._shimReturnValue(asyncValue, options);
-
-              if (!options.logAsyncResultsImmediately) {
-                log.result = asyncValue;
-                log.duration = Date.now() - log.timestamp;
-                options.logger(log);
-              }
-
-              resolve(asyncValue);
-            }, (error) => {
-              if (!options.logAsyncResultsImmediately) {
-                delete log.result;
-                log.threw = error;
-                log.duration = Date.now() - log.timestamp;
-                options.logger(log);
-              }
-
-              reject(error);
-            });
-          });
-
-          return promiseShim;
-        } else {
-          options.logger(log);
-          return TraceAnything._shimReturnValue(returnValue, options);
+          return;
         }
-      } catch (error) {
-        delete log.result;
-        log.threw = error;
-        log.duration = Date.now() - log.timestamp;
-        options.logger(log);
-        throw error;
       }
+      TraceAnything._shimMember(owner, owner, k, className, options, handle);
     };
 
-    // Make sure we can tell later what is shimmed already.
-    traced[k].__TraceAnything__ = true;
-  }
-
-  /**
-   * Shim a return value.
-   *
-   * @param {?} returnValue
-   * @param {TraceAnything.Options} options
-   * @return {?} A traced version of the return value if it is of a type that we
-   *   are configured to trace.
-   * @private
-   */
-  static _shimReturnValue(returnValue, options) {
-    if (returnValue == null) {
-      // This is null or undefined.
-      return returnValue;
-    }
+    const resolve = (object, i) => {
+      if (handle.restored) {
+        return;
+      }
 
-    if (returnValue.__TraceAnything__) {
-      // This is a value we're already tracing.  So return it now.
-      return returnValue;
-    }
+      if (typeof object != 'object' && typeof object != 'function') {
+        TraceAnything._log({
+          timestamp: Date.now(),
+          duration: 0,
+          type: TraceAnything.LogTypes.Warning,
+          message: `Unable to trace ${path}: ` +
+              `${names.slice(0, i).join('.')} is not an object!`,
+        }, options);
+        return;
+      }
 
-    const returnType = Object.getPrototypeOf(returnValue).constructor;
-    const returnTypeOptions = TraceAnything._shimmedClasses.get(returnType);
-    if (returnTypeOptions) {
-      // The returned value is of a type we are tracing, but we aren't
-      // tracing this value yet.  This could happen if the value were
-      // constructed natively inside the browser.  To trace it, we return a
-      // wrapper to trace the return value.
-      return TraceAnything.traceObject(returnValue, returnTypeOptions);
-    }
+      if (i < names.length) {
+        const value = object[names[i]];
+        if (value == null) {
+          TraceAnything._waitForMember(object, names[i], className, options,
+              handle, (assigned) => resolve(assigned, i + 1));
+        } else {
+          resolve(value, i + 1);
+        }
+        return;
+      }
 
-    for (const k of options.exploreResultFields) {
-      if (k in returnValue) {
-        returnValue[k] = TraceAnything._shimReturnValue(returnValue[k], options);
+      handle.traced = object;
+      if (memberName == '*') {
+        for (const k of TraceAnything._getPathMembers(object, options)) {
+          traceMember(object, k);
+        }
+      } else if (memberName in object) {
+        traceMember(object, memberName);
+      } else {
+        TraceAnything._waitForMember(object, memberName, className, options,
+            handle, () => traceMember(object, memberName));
       }
-    }
+    };
 
-    // This is a value we aren't tracing and shouldn't be tracing.
-    return returnValue;
+    resolve(root || globalThis, 0);
+    return handle;
   }
 
   /**
-   * Shim one property (not a method) for tracing.
+   * Set an accessor in place of a missing member, to find out when the app
+   * assigns it.  The accessor is replaced with the assigned value, and removed
+   * when the handle is restored.  Until a non-null value is assigned, we keep
+   * waiting.
    *
-   * @param {!Object} traced The traced object.
-   * @param {!Object} object The original object.
+   * @param {!Object} object The object which should own the member.
    * @param {string} k The member name.
-   * @param {string} className The class name.
+   * @param {string} className The class name, for warnings.
    * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle
+   * @param {function(?)} callback Called with the value once it is assigned.
    * @private
    */
-  static _shimProperty(traced, object, k, className, options) {
-    const originalDescriptor = TraceAnything._getDescriptor(object, k);
-    console.assert(originalDescriptor != null);
-
-    if (options.inPlace && !originalDescriptor.configurable) {
-      options.logger({
+  static _waitForMember(object, k, className, options, handle, callback) {
+    const originalDescriptor = Object.getOwnPropertyDescriptor(object, k);
+    if ((originalDescriptor && (!originalDescriptor.configurable ||
+                                !('value' in originalDescriptor))) ||
+        (!originalDescriptor && !Object.isExtensible(object))) {
+      // We can't replace it, or it has a getter we can't see past.
+      TraceAnything._log({
         timestamp: Date.now(),
         duration: 0,
         type: TraceAnything.LogTypes.Warning,
-        message: `Unable to trace ${k} on ${className} in-place!`,
-      });
+        message: `Unable to wait for ${k} on ${className}!`,
+      }, options);
       return;
     }
 
-    const newDescriptor = {
+    const enumerable =
+        originalDescriptor ? originalDescriptor.enumerable : true;
+    const trap = {
       configurable: true,
-      enumerable: originalDescriptor.enumerable,
+      enumerable,
+      get: () => originalDescriptor ? originalDescriptor.value : undefined,
+      set: (value) => {
+        Object.defineProperty(object, k, {
+          configurable: true,
+          enumerable,
+          writable: true,
+          value,
+        });
+        if (value == null) {
+          TraceAnything._waitForMember(
+              object, k, className, options, handle, callback);
+        } else {
+          callback(value);
+        }
+      },
     };
+    Object.defineProperty(object, k, trap);
 
-    if ('value' in originalDescriptor) {
-      // The original had no getter/setter for us to delegate to.  So our
-      // getter and setter will store the value in this local variable.  Our
-      // setter will log the new value.
-      let propertyValue = originalDescriptor.value;
-
-      // Since there was no original getter, the value will only change through
-      // the setter.  So we don't log anything from this getter.
-      newDescriptor.get = () => propertyValue;
-
-      if (originalDescriptor.writable) {
-        newDescriptor.set = (value) => {
-          options.logger({
-            timestamp: Date.now(),
-            duration: 0,
-            type: TraceAnything.LogTypes.Setter,
-            instance: traced,
-            instanceId: TraceAnything._getId(traced, className, options),
-            className,
-            memberName: k,
-            value,
-          });
-          propertyValue = value;
-        };
-      }
-    } else {
-      // Define a property whose getter and setter delegate to the object's
-      // original getter and setter. Our setter will log the new value.
-      if (originalDescriptor.get) {
-        newDescriptor.get = function() {
-          const log = {
-            timestamp: Date.now(),
-            type: TraceAnything.LogTypes.Getter,
-            instance: traced,
-            instanceId: TraceAnything._getId(traced, className, options),
-            className,
-            memberName: k,
-          };
-
-          try {
-            const value = originalDescriptor.get.call(this);
-            log.result = value;
-            log.duration = Date.now() - log.timestamp;
-            options.logger(log);
-
-            return value;
-          } catch (error) {
-            log.threw = error;
-            log.duration = Date.now() - log.timestamp;
-            options.logger(log);
-            throw error;
-          }
-        };
+    handle._addUndoStep(() => {
+      const descriptor = Object.getOwnPropertyDescriptor(object, k);
+      if (descriptor && descriptor.set === trap.set) {
+        if (originalDescriptor) {
+          Object.defineProperty(object, k, originalDescriptor);
+        } else {
+          delete object[k];
+        }
       }
+    });
+  }
 
-      if (originalDescriptor.set) {
-        newDescriptor.set = function(value) {
-          const log = {
-            timestamp: Date.now(),
-            type: TraceAnything.LogTypes.Setter,
-            instance: traced,
-            instanceId: TraceAnything._getId(traced, className, options),
-            className,
-            memberName: k,
-          };
-
-          try {
-            originalDescriptor.set.call(this, value);
-            log.value = value;
-            log.duration = Date.now() - log.timestamp;
-            options.logger(log);
-          } catch (error) {
-            log.threw = error;
-            log.duration = Date.now() - log.timestamp;
-            options.logger(log);
-            throw error;
-          }
-        };
-      }
+  /**
+   * @param {!Object} object The object at the end of a path with a wildcard.
+   * @param {TraceAnything.Options} options
+   * @return {!Array<(string|symbol)>} The names of the members to trace.  For
+   *   a function, such as a class, these are its own static members.
+   * @private
+   */
+  static _getPathMembers(object, options) {
+    if (typeof object != 'function') {
+      return TraceAnything._discoverMembers(object, options);
     }
 
-    Object.defineProperty(traced, k, newDescriptor);
+    const builtIns = ['length', 'name', 'prototype', 'arguments', 'caller'];
+    return Reflect.ownKeys(object).filter((k) => !builtIns.includes(k) &&
+        !TraceAnything._isMarker(k) &&
+        !options.skipProperties.includes(k) &&
+        TraceAnything._matchesMemberPatterns(k, options));
   }
 
   /**
-   * Shim one property that contains a Promise or Promise getter.  When the
-   * Promise is resolved, a pseudo-event will be logged.
+   * Trace a standalone function.  Calls to it are logged as Method-type logs
+   * with no methodName.  If the function is a class, it is traced as with
+   * traceClass().
    *
-   * @param {!Object} traced The traced object.
-   * @param {!Object} object The original object.
-   * @param {string} k The member name.
-   * @param {string} className The class name.
-   * @param {TraceAnything.Options} options
-   * @private
+   * @param {function(...?)} fn The function you would like to trace.
+   * @param {TraceAnything.Options=} options The usual options, plus an
+   *   optional "name" to use as the class name in the logs.  By default, the
+   *   function's own name.
+   * @return {!TraceAnything.Handle} A handle whose "traced" field is a
+   *   replacement function which will be traced.
    */
-  static _shimPromiseProperty(traced, object, k, className, options) {
-    const promise = object[k];
-    promise.then((result) => {
-      const log = {
-        timestamp: Date.now(),
-        duration: 0,
-        type: TraceAnything.LogTypes.Event,
-        instance: traced,
-        instanceId: TraceAnything._getId(traced, className, options),
-        className,
-        eventName: `${k} Promise resolved`,
-        event: {
-          result,
-        },
-      };
-      options.logger(log);
-    }, (error) => {
-      const log = {
-        timestamp: Date.now(),
-        duration: 0,
-        type: TraceAnything.LogTypes.Event,
-        instance: traced,
-        instanceId: TraceAnything._getId(traced, className, options),
-        className,
-        eventName: `${k} Promise rejected`,
-        event: {
-          threw: error,
-        },
-      };
-      options.logger(log);
-    });
+  static traceFunction(fn, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
+
+    const name = options.name || fn.name || 'anonymous';
+    const handle = new TraceAnything.Handle(options, null);
+    handle.traced = TraceAnything._traceFunction(
+        fn, fn, name, undefined, options, handle);
+    return handle;
   }
 
   /**
-   * If we are not supposed to trace a member, we still shim it, or else
-   * reading/writing it won't trigger any native getters/setters on the
-   * underlying object.  This "silent" shim won't trace the values, but will
-   * just delegate to the underlying object.
+   * Trace the exports of a nodejs module.  Exported functions are traced,
+   * exported classes are traced as with traceClass(), so that their instances
+   * are traced, and nested namespaces (such as fs.promises) are traced the same
+   * way.  Exports are replaced in-place, so this works for CommonJS modules,
+   * and for built-in modules however they are imported, but not for other ES
+   * modules.  For built-in modules, the named exports seen by ES modules are
+   * updated to match, as they are again when the handle is restored.
    *
-   * @param {!Object} traced The traced object.
-   * @param {!Object} object The original object.
-   * @param {string} k The member name.
+   * @param {string} name The module to trace, as it would be passed to
+   *   require(), such as "fs".  Relative paths would be resolved relative to
+   *   TraceAnything itself, so use absolute paths for modules in your app.
    * @param {TraceAnything.Options} options
-   * @private
+   * @return {!TraceAnything.Handle} A handle whose "traced" field is the traced
+   *   module.  If the module exports a single function or class, "traced" is a
+   *   replacement for it.
    */
-  static _shimPropertySilent(traced, object, k, options) {
-    if (options.inPlace) {
-      // If we're shimming the object in-place, we don't need a "silent" shim.
-      // That is only needed for constructing a new traced object to take the
-      // place of the original.
-      return;
-    }
-
-    const originalDescriptor = TraceAnything._getDescriptor(object, k);
-    console.assert(originalDescriptor != null);
-
-    // Copy the original descriptor, but make it configurable in case another
-    // part of the code wants to reconfigure the property.
-    const newDescriptor = Object.assign({}, originalDescriptor, {
-      configurable: true,
-    });
-
-    Object.defineProperty(traced, k, newDescriptor);
+  static traceModule(name, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
+    return TraceAnything._traceModule(
+        TraceAnything._require(name), name.replace(/^node:/, ''), options,
+        null);
   }
 
   /**
-   * Shim an event listener property for tracing.
+   * Trace modules as they are loaded with require(), in nodejs.  Modules are
+   * traced as with traceModule(), including modules which were already loaded
+   * before, each time they are required again.
    *
-   * @param {!Object} traced The traced object.
-   * @param {!Object} object The original object.
-   * @param {string} k The member name.
-   * @param {string} className The class name.
+   * @param {(string|!RegExp|!Array<string>|function(string):boolean)} filter
+   *   The names of the modules to trace, as passed to require().  A "node:"
+   *   prefix is ignored.
    * @param {TraceAnything.Options} options
-   * @private
+   * @return {!TraceAnything.Handle} A handle which removes the hook and
+   *   restores all modules traced through it.  Its "traced" field is the
+   *   hooked require method.
    */
-  static _shimEventListenerProperty(traced, object, k, className, options) {
-    console.assert(k.startsWith('on'));
-    const eventName = k.replace(/^on/, '');
-
-    if (options.skipEvents.includes(eventName)) {
-      return;
-    }
-
-    traced.__TraceAnythingEvents__.add(eventName);
+  static hookRequire(filter, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
 
-    const originalDescriptor = TraceAnything._getDescriptor(object, k);
-    console.assert(originalDescriptor != null);
+    const Module = TraceAnything._require('module');
+    const originalRequire = Module.prototype.require;
+    const handle = new TraceAnything.Handle(options, null);
 
-    // An event listener property like "onfoo" should almost certainly have a
-    // getter and setter for the native code to put the new values into action.
-    console.assert(originalDescriptor.get && originalDescriptor.set);
+    // A map of the original exports of each module to the traced version.
+    const tracedModules = new Map();
 
-    // Save the old value to be shimmed later.  Note that for an in-place shim,
-    // this will be overwritten by our getter/setter later, so we must save it
-    // now.
-    const oldListener = object[k];
+    handle.traced = function(request) {
+      const exports = originalRequire.apply(this, arguments);
+      const name = String(request).replace(/^node:/, '');
+      if (handle.restored || !TraceAnything._matchesName(filter, name)) {
+        return exports;
+      }
 
-    // Shim any future listeners set through the traced object.
-    Object.defineProperty(traced, k, {
-      configurable: true,
-      enumerable: true,
-      get: function() {
-        return originalDescriptor.get.call(this);
-      },
-      set: function(listener) {
-        // Because we listen to all events, we don't want to remove the
-        // listener completely.  Instead, turn it into a no-op so the shim can
-        // still trace the event.
-        if (!listener) {
-          listener = () => {};
-        }
+      if (!tracedModules.has(exports)) {
+        const moduleHandle =
+            TraceAnything._traceModule(exports, name, options, handle);
+        tracedModules.set(exports, moduleHandle.traced);
+      }
+      return tracedModules.get(exports);
+    };
 
-        const shim = TraceAnything._shimEventListener(
-            object, listener, className, eventName, options);
-        originalDescriptor.set.call(this, shim);
-      },
+    Module.prototype.require = handle.traced;
+    handle._addUndoStep(() => {
+      // Don't clobber another hook installed after this one.
+      if (Module.prototype.require == handle.traced) {
+        Module.prototype.require = originalRequire;
+      }
     });
 
-    // Set the old listener again (which may be null or undefined) to shim it
-    // right away.
-    traced[k] = oldListener;
+    return handle;
   }
 
   /**
-   * Add our own event listeners dynamically when the app adds listeners for
-   * events we don't know about yet.
-   *
-   * @param {!Object} traced The traced object.
-   * @param {!Object} object The original object.
-   * @param {string} className The class name.
+   * @param {(string|!RegExp|!Array<string>|function(string):boolean)} filter
+   *   A name, a pattern, a list of names, or a function deciding on names.
+   * @param {string} name
+   * @return {boolean} True if the name passes the filter.
+   * @private
+   */
+  static _matchesName(filter, name) {
+    if (typeof filter == 'function') {
+      return filter(name);
+    } else if (filter instanceof RegExp) {
+      return filter.test(name);
+    } else if (Array.isArray(filter)) {
+      return filter.includes(name);
+    } else {
+      return filter == name;
+    }
+  }
+
+  /**
+   * @param {?} exports The exports of the module.
+   * @param {string} name The module name, used as the class name in the logs.
    * @param {TraceAnything.Options} options
+   * @param {TraceAnything.Handle} parent
+   * @return {!TraceAnything.Handle}
    * @private
    */
-  static _shimEventListenersDynamically(traced, object, className, options) {
-    const originalMethod = object.addEventListener;
+  static _traceModule(exports, name, options, parent) {
+    const handle = new TraceAnything.Handle(options, parent);
+    const seen = new Set();
 
-    // Set a shim method that tracks any newly discovered events and adds
-    // listeners for them.
-    traced.addEventListener = function(eventName, ...args) {
-      if (!traced.__TraceAnythingEvents__.has(eventName) &&
-          !options.skipEvents.includes(eventName)) {
-        traced.__TraceAnythingEvents__.add(eventName);
+    // ES modules get a copy of the named exports of built-in modules, which
+    // must be updated after the exports are replaced, and again after they are
+    // restored.  Since undo steps run in reverse, this one runs last.
+    const Module = TraceAnything._require('module');
+    const isBuiltin = Module.builtinModules.includes(name);
+    if (isBuiltin) {
+      handle._addUndoStep(() => Module.syncBuiltinESMExports());
+    }
 
-        const listener = TraceAnything._shimEventListener(
-            traced, () => {}, className, eventName, options);
-        originalMethod.call(this, eventName, listener);
+    if (typeof exports == 'function') {
+      TraceAnything._traceNamespace(exports, name, options, handle, seen);
+      handle.traced = TraceAnything._traceFunction(
+          exports, exports, name, undefined, options, handle);
+    } else {
+      if (exports && typeof exports == 'object') {
+        TraceAnything._traceNamespace(exports, name, options, handle, seen);
       }
+      handle.traced = exports;
+    }
 
-      return originalMethod.call(this, eventName, ...args);
+    if (isBuiltin) {
+      Module.syncBuiltinESMExports();
     }
+    return handle;
   }
 
   /**
-   * Shim an event listener for tracing.
+   * Trace the functions and classes in a module's exports, in-place, and
+   * recurse into nested namespaces.
+   *
+   * @param {!Object} namespace
+   * @param {string} className The name of the namespace, such as "fs" or
+   *   "fs.promises".
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle
+   * @param {!Set<!Object>} seen Namespaces traced already, to avoid cycles.
+   * @private
+   */
+  static _traceNamespace(namespace, className, options, handle, seen) {
+    if (seen.has(namespace)) {
+      return;
+    }
+    seen.add(namespace);
+
+    for (const k of Object.keys(namespace)) {
+      if (TraceAnything._isMarker(k) || options.skipProperties.includes(k) ||
+          !TraceAnything._matchesMemberPatterns(k, options)) {
+        continue;
+      }
+
+      let value;
+      try {
+        value = namespace[k];
+      } catch (error) {
+        // Some lazy exports throw if they can't be loaded.
+        continue;
+      }
+
+      if (value && typeof value == 'object') {
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype == Object.prototype || prototype == null) {
+          TraceAnything._traceNamespace(
+              value, `${className}.${k}`, options, handle, seen);
+        }
+        continue;
+      }
+
+      if (typeof value != 'function' || !options.methods) {
+        continue;
+      }
+
+      // Lazy getters and read-only exports are left alone.
+      const descriptor = Object.getOwnPropertyDescriptor(namespace, k);
+      if (!('value' in descriptor) ||
+          (!descriptor.writable && !descriptor.configurable)) {
+        TraceAnything._log({
+          timestamp: Date.now(),
+          duration: 0,
+          type: TraceAnything.LogTypes.Warning,
+          message: `Unable to trace ${k} on ${className} in-place!`,
+        }, options);
+        continue;
+      }
+
+      const traced = TraceAnything._traceFunction(
+          value, namespace, className, k, options, handle);
+      if (traced !== value) {
+        TraceAnything._saveMember(namespace, namespace, k, handle, null);
+        Object.defineProperty(namespace, k,
+            Object.assign({}, descriptor, {value: traced}));
+      }
+    }
+  }
+
+  /**
+   * @param {function(...?)} fn A function or class.
+   * @param {!Object} instance The instance to log calls on, such as the
+   *   namespace the function was exported from.
+   * @param {string} className The class name to log, such as the name of the
+   *   namespace.
+   * @param {(string|undefined)} methodName The method name to log, such as the
+   *   name of the export, or undefined if the function stands alone.
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle
+   * @return {function(...?)} A traced replacement for the function, or the
+   *   function itself if it is traced already.
+   * @private
+   */
+  static _traceFunction(
+      fn, instance, className, methodName, options, handle) {
+    if (fn.__TraceAnything__) {
+      return fn;
+    }
+
+    if (TraceAnything._isClass(fn)) {
+      const traced = TraceAnything._traceClass(fn, options, handle).traced;
+      if (options.mode != TraceAnything.Modes.Proxy) {
+        // Keep static members and instanceof checks working, as the proxy
+        // would.
+        Object.setPrototypeOf(traced, fn);
+        traced.prototype = fn.prototype;
+        Object.defineProperty(traced, 'name', {value: fn.name});
+      }
+      return traced;
+    }
+
+    const traced = function(...args) {
+      if (handle.restored) {
+        // The app may still be holding onto this replacement.
+        return fn.apply(this, args);
+      }
+      return TraceAnything._invokeMethod(
+          fn, instance, this, args, className, methodName, options);
+    };
+
+    // Keep static members working, such as util.promisify.custom.
+    Object.setPrototypeOf(traced, fn);
+    Object.defineProperty(traced, 'name', {value: fn.name});
+    traced.__TraceAnything__ = true;
+    return traced;
+  }
+
+  /**
+   * @param {function(...?)} fn
+   * @return {boolean} True if the function looks like a class, either with
+   *   class syntax, or with a capitalized name and methods on its prototype.
+   * @private
+   */
+  static _isClass(fn) {
+    try {
+      if (/^class\b/.test(Function.prototype.toString.call(fn))) {
+        return true;
+      }
+    } catch (error) {
+      // Some exotic functions can't be converted to strings.
+    }
+
+    return /^[A-Z]/.test(fn.name) && !!fn.prototype &&
+        Object.getOwnPropertyNames(fn.prototype).length > 1;
+  }
+
+  /**
+   * Trace all instances of a certain element name in the document.  Existing
+   * elements will be traced immediately, and the document will be monitored for
+   * new elements at runtime.  This includes elements nested anywhere in the
+   * document, and in shadow roots.  Closed shadow roots are only seen if they
+   * are attached after this is called.  When a traced element is removed from
+   * the document, a Warning-type log is sent for it.
+   *
+   * @param {string} name The name of the tag of the elements you want to trace.
+   * @param {TraceAnything.Options} options
+   * @param {Document=} doc The document to trace, such as that of a frame.  By
+   *   default, the main document.
+   * @return {!TraceAnything.Handle} A handle which can stop tracing these
+   *   elements and restore the ones traced so far.
+   */
+  static traceElement(name, options, doc) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
+    return TraceAnything._traceElement(name, options, null, doc || document);
+  }
+
+  /**
+   * @param {string} name The name of the tag of the elements to trace.
+   * @param {TraceAnything.Options} options
+   * @param {TraceAnything.Handle} parent
+   * @param {!Document} doc
+   * @return {!TraceAnything.Handle}
+   * @private
+   */
+  static _traceElement(name, options, parent, doc) {
+    const canonicalName = name.toLowerCase();
+    const state = TraceAnything._getElementState(doc);
+    const handle = new TraceAnything.Handle(options, parent);
+    handle._addUndoStep(() => {
+      // Don't clobber a newer call to traceElement for the same name.
+      if (state.names.get(canonicalName) == handle) {
+        state.names.delete(canonicalName);
+      }
+      if (!TraceAnything._hasTracedElements(state)) {
+        TraceAnything._teardownNewElementObserver(doc);
+      }
+    });
+
+    TraceAnything._traceExistingElements(name, handle, doc);
+    state.names.set(canonicalName, handle);
+    TraceAnything._setupNewElementObserver(doc);
+    return handle;
+  }
+
+  /**
+   * Trace all elements in the document which match a CSS selector.  This works
+   * like traceElement(), but the selector is checked again when the
+   * attributes of an element change, so that elements which match it later
+   * are traced, too.  Elements which stop matching are still traced.
+   *
+   * @param {string} selector A CSS selector, such as "video.player".
+   * @param {TraceAnything.Options} options
+   * @param {Document=} doc The document to trace, such as that of a frame.  By
+   *   default, the main document.
+   * @return {!TraceAnything.Handle} A handle which can stop tracing these
+   *   elements and restore the ones traced so far.
+   */
+  static traceSelector(selector, options, doc) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
+    doc = doc || document;
+
+    const state = TraceAnything._getElementState(doc);
+    const handle = new TraceAnything.Handle(options, null);
+    handle._addUndoStep(() => {
+      // Don't clobber a newer call to traceSelector for the same selector.
+      if (state.selectors.get(selector) == handle) {
+        state.selectors.delete(selector);
+        TraceAnything._updateObservers(state);
+      }
+      if (!TraceAnything._hasTracedElements(state)) {
+        TraceAnything._teardownNewElementObserver(doc);
+      }
+    });
+
+    TraceAnything._forEachElement(doc, (element) => {
+      if (element.matches(selector)) {
+        TraceAnything._traceObject(element, options, handle);
+      }
+    });
+    state.selectors.set(selector, handle);
+    TraceAnything._updateObservers(state);
+    TraceAnything._setupNewElementObserver(doc);
+    return handle;
+  }
+
+  /**
+   * Trace custom elements as they are defined with customElements.define().
+   * Instances already in the document, including those created by the parser
+   * before the element was defined, are traced when it is defined, and new
+   * ones are traced as with traceElement().  Instances returned by traced
+   * methods are traced as with traceClass().  Custom elements in the filter
+   * by name which were defined already are traced right away.
+   *
+   * @param {(string|!RegExp|!Array<string>|function(string):boolean)} filter
+   *   The names of the custom elements to trace.
+   * @param {TraceAnything.Options} options
+   * @return {!TraceAnything.Handle} A handle which removes the hook and stops
+   *   tracing the custom elements.  Its "traced" field is the hooked define
+   *   method.
+   */
+  static hookCustomElements(filter, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
+
+    const registry = customElements;
+    const originalDefine = registry.define;
+    const originalDescriptor =
+        Object.getOwnPropertyDescriptor(registry, 'define');
+    const handle = new TraceAnything.Handle(options, null);
+
+    const traceDefinition = (name, ctor) => {
+      TraceAnything._traceClass(ctor, options, handle);
+      TraceAnything._traceElement(name, options, handle, document);
+    };
+
+    handle.traced = function(name, ctor) {
+      const result = originalDefine.apply(this, arguments);
+      if (!handle.restored && TraceAnything._matchesName(filter, name)) {
+        // Defining the element upgrades any instances in the document, so
+        // they can be traced now.
+        traceDefinition(name, ctor);
+      }
+      return result;
+    };
+
+    registry.define = handle.traced;
+    handle._addUndoStep(() => {
+      // Don't clobber another hook installed after this one.
+      if (registry.define != handle.traced) {
+        return;
+      }
+      if (originalDescriptor) {
+        Object.defineProperty(registry, 'define', originalDescriptor);
+      } else {
+        delete registry.define;
+      }
+    });
+
+    if (typeof filter == 'string' || Array.isArray(filter)) {
+      for (const name of [].concat(filter)) {
+        const ctor = registry.get(name);
+        if (ctor) {
+          traceDefinition(name, ctor);
+        }
+      }
+    }
+
+    return handle;
+  }
+
+  /**
+   * Apply tracing to same-origin frames as they load, including frames nested
+   * in them and frames added later.  Logs for objects from each frame are
+   * tagged with its realm.  Cross-origin frames can't be traced, and a
+   * Warning-type log is sent for each one found.
+   *
+   * Since each frame has its own copy of each class, the setup must trace the
+   * classes and elements of the frame itself.  It can also be a
+   * TraceAnything.Config, which is applied to each frame as with
+   * applyConfig().  To trace the same way everywhere, apply it to the main
+   * window, too.
+   *
+   * @param {(function(!Window, string):(TraceAnything.Handle|
+   *     Array<!TraceAnything.Handle>|undefined)|TraceAnything.Config)} setup
+   *   Called with the window of each frame as it loads, and the name of its
+   *   realm.  Any handles it returns are restored along with this one.
+   * @param {TraceAnything.Options} options These are also the options for
+   *   everything in a config, as with applyConfig().
+   * @return {!TraceAnything.Handle} A handle which stops watching for frames,
+   *   and restores the handles returned by setup.
+   */
+  static traceFrames(setup, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
+
+    if (typeof setup != 'function') {
+      // Check the config now, instead of as each frame loads.
+      const config = setup;
+      TraceAnything._validateConfig(config);
+      setup = (frameWindow) =>
+        TraceAnything.applyConfig(config, options, frameWindow);
+    }
+
+    const handle = new TraceAnything.Handle(options, null);
+
+    // Frames we are listening to for loads.
+    const frames = new WeakSet();
+    let nextFrameNumber = 1;
+
+    const setUpFrame = (frame) => {
+      let frameWindow;
+      try {
+        frameWindow = frame.contentWindow;
+        // This throws for cross-origin frames.
+        frameWindow.document.documentElement;
+      } catch (error) {
+        TraceAnything._log({
+          timestamp: Date.now(),
+          duration: 0,
+          type: TraceAnything.LogTypes.Warning,
+          message: `Unable to trace cross-origin frame ${frame.src}!`,
+        }, options);
+        return;
+      }
+
+      // Each navigation of the frame creates a new realm, with its own
+      // Object.prototype, while its window stays the same.
+      const rootPrototype = frameWindow.Object.prototype;
+      if (handle.restored || TraceAnything._frameRealms.has(rootPrototype)) {
+        return;
+      }
+
+      const realm = `frame:${frame.id || frame.name || nextFrameNumber++}`;
+      TraceAnything._frameRealms.set(rootPrototype, {realm, frameWindow});
+      // These are dropped along with the realm once it is unloaded.
+      handle._addUndoStep(
+          () => TraceAnything._frameRealms.delete(rootPrototype),
+          rootPrototype);
+
+      const frameHandles = setup(frameWindow, realm);
+      for (const frameHandle of [].concat(frameHandles || [])) {
+        handle._addUndoStep(() => frameHandle.restore(), rootPrototype);
+      }
+
+      watchDocument(frameWindow.document);
+    };
+
+    const watchFrame = (frame) => {
+      if (frames.has(frame)) {
+        return;
+      }
+      frames.add(frame);
+
+      // Each navigation of the frame creates a new window to set up.
+      const onLoad = () => setUpFrame(frame);
+      frame.addEventListener('load', onLoad);
+      handle._addUndoStep(() => frame.removeEventListener('load', onLoad));
+
+      if (frame.contentDocument &&
+          frame.contentDocument.readyState == 'complete') {
+        setUpFrame(frame);
+      }
+    };
+
+    const watchFrames = (root) => {
+      TraceAnything._forEachElement(root, (element) => {
+        const name = element.tagName.toLowerCase();
+        if (name == 'iframe' || name == 'frame') {
+          watchFrame(element);
+        }
+      });
+    };
+
+    const watchDocument = (doc) => {
+      const observer = new MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+          for (const node of mutation.addedNodes) {
+            watchFrames(node);
+          }
+        }
+      });
+      observer.observe(doc, {childList: true, subtree: true});
+      handle._addUndoStep(() => observer.disconnect());
+
+      watchFrames(doc);
+    };
+
+    watchDocument(document);
+    return handle;
+  }
+
+  /**
+   * Collect the logs of a Worker which called
+   * TraceAnything.bootstrapWorker().  The logs are sent to options.logger,
+   * tagged with the realm of the Worker.
+   *
+   * @param {!Worker} worker
+   * @param {TraceAnything.Options} options
+   * @return {!TraceAnything.Handle} A handle which stops collecting logs.
+   */
+  static traceWorker(worker, options) {
+    const channel = new MessageChannel();
+    worker.postMessage({__TraceAnything__: 'connect'}, [channel.port2]);
+
+    const handle = TraceAnything.collectLogs(channel.port1, options);
+    handle._addUndoStep(() => channel.port1.close());
+    return handle;
+  }
+
+  /**
+   * Set up tracing inside a Worker, so that its logs are forwarded to the
+   * page which created it.  Call this first in the Worker, before the app
+   * listens for messages, and call TraceAnything.traceWorker() on the Worker
+   * in the page.  Every log traced in the Worker with the default logger is
+   * forwarded, and logs are kept until the page connects.
+   *
+   * @param {function(!Object, string)=} setup Called with the global scope of
+   *   the Worker and the name of its realm, to trace anything the same way as
+   *   in traceFrames().
+   * @return {!TraceAnything.ForwardingLogger} The logger, which is also set
+   *   as the default logger.
+   */
+  static bootstrapWorker(setup) {
+    const logger = new TraceAnything.ForwardingLogger();
+    TraceAnything.defaultOptions.logger = logger;
+
+    // Hide our own message from the app.
+    const onMessage = (event) => {
+      if (event.data && event.data.__TraceAnything__ == 'connect') {
+        event.stopImmediatePropagation();
+        globalThis.removeEventListener('message', onMessage);
+        logger.connect(event.ports[0]);
+      }
+    };
+    globalThis.addEventListener('message', onMessage);
+
+    if (setup) {
+      setup(globalThis, TraceAnything._realm);
+    }
+    return logger;
+  }
+
+  /**
+   * Collect logs sent by a TraceAnything.ForwardingLogger, and send them to
+   * options.logger.  They have been serialized already, and are not filtered,
+   * sampled, or redacted again.
+   *
+   * @param {!MessagePort} port A MessagePort, or anything else with
+   *   addEventListener for "message" events.
+   * @param {TraceAnything.Options} options
+   * @return {!TraceAnything.Handle} A handle which stops collecting logs.
+   */
+  static collectLogs(port, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
+    const handle = new TraceAnything.Handle(options, null);
+
+    const onMessage = (event) => {
+      const message = event.data;
+      if (message && message.__TraceAnything__ == 'log') {
+        TraceAnything._sendToLogger(message.log, options);
+      }
+    };
+    port.addEventListener('message', onMessage);
+    if (port.start) {
+      // A MessagePort won't deliver messages to listeners until started.
+      port.start();
+    }
+    handle._addUndoStep(() => port.removeEventListener('message', onMessage));
+
+    return handle;
+  }
+
+  /**
+   * Apply a trace setup described as plain data, such as a JSON file shared
+   * between apps.  See TraceAnything.Config for the format.  The config is
+   * validated first, and nothing is traced if it is malformed.  Classes and
+   * prototypes which don't exist, and members missing from those prototypes,
+   * are skipped with a Warning-type log for each.  So are targets which fail
+   * to be traced, after restoring whatever they traced so far.
+   *
+   * Classes are replaced in-place on the object that owns them, as with
+   * tracePath(), so that the app's own calls to their constructors are traced.
+   *
+   * For example:
+   *
+   *   {
+   *     "options": {"skipEvents": ["timeupdate"]},
+   *     "classes": ["MediaSource", "SourceBuffer"],
+   *     "prototypes": [
+   *       {"name": "HTMLMediaElement", "members": ["play", "pause"]}
+   *     ],
+   *     "paths": ["navigator.requestMediaKeySystemAccess"],
+   *     "elements": [{
+   *       "selector": "video",
+   *       "options": {"eventProperties": {"ratechange": "playbackRate"}}
+   *     }]
+   *   }
+   *
+   * @param {TraceAnything.Config} config
+   * @param {TraceAnything.Options=} options Options for everything in the
+   *   config, such as a logger, which can't be written as JSON.  The options in
+   *   the config override these, and the options of each target override both.
+   * @param {!Window=} globalObject The window whose classes, paths, and
+   *   elements are traced, such as that of a frame.  By default, globalThis.
+   * @return {!TraceAnything.Handle} A handle which restores everything traced
+   *   through the config.
+   */
+  static applyConfig(config, options, globalObject) {
+    const targets = TraceAnything._validateConfig(config);
+
+    options = Object.assign(
+        {}, TraceAnything.defaultOptions, options, config.options);
+    globalObject = globalObject || globalThis;
+    const handle = new TraceAnything.Handle(options, null);
+
+    const resolve = (path) => path.split('.').reduce(
+        (object, k) => object == null ? undefined : object[k], globalObject);
+
+    const warn = (message) => {
+      TraceAnything._log({
+        timestamp: Date.now(),
+        duration: 0,
+        type: TraceAnything.LogTypes.Warning,
+        message,
+      }, options);
+    };
+
+    // Trace one target.  If it fails, restore whatever it traced so far, and
+    // go on to the next one.
+    const apply = (description, trace) => {
+      const activeHandles = new Set(TraceAnything._activeHandles);
+      try {
+        const targetHandle = trace();
+        handle._addUndoStep(() => targetHandle.restore());
+      } catch (error) {
+        for (const partial of [...TraceAnything._activeHandles].reverse()) {
+          if (!activeHandles.has(partial)) {
+            partial.restore();
+          }
+        }
+        warn(`Unable to trace ${description} from config: ${error}`);
+      }
+    };
+
+    for (const target of targets.classes) {
+      const targetOptions = Object.assign({}, options, target.options);
+      if (typeof resolve(target.name) != 'function') {
+        warn(`Unknown class ${target.name} in config!`);
+        continue;
+      }
+      apply(target.name, () => TraceAnything.tracePath(
+          target.name, targetOptions, globalObject));
+    }
+
+    for (const target of targets.prototypes) {
+      const targetOptions = Object.assign({}, options, target.options);
+      const ctor = resolve(target.name);
+      if (typeof ctor != 'function' || !ctor.prototype) {
+        warn(`Unknown class ${target.name} in config!`);
+        continue;
+      }
+
+      for (const member of target.members) {
+        if (!(member in ctor.prototype)) {
+          warn(`Unknown member ${member} of ${target.name} in config!`);
+          continue;
+        }
+        apply(`${target.name}.prototype.${member}`,
+            () => TraceAnything.tracePrototype(ctor, member, targetOptions));
+      }
+    }
+
+    for (const target of targets.paths) {
+      const targetOptions = Object.assign({}, options, target.options);
+      // tracePath() waits for missing objects, but a global which doesn't
+      // exist at all is more likely to be a typo.
+      const root = target.path.split('.')[0];
+      if (target.path.includes('.') && !(root in globalObject)) {
+        warn(`Unknown global ${root} in config path ${target.path}!`);
+      }
+      apply(target.path, () => TraceAnything.tracePath(
+          target.path, targetOptions, globalObject));
+    }
+
+    for (const target of targets.elements) {
+      const targetOptions = Object.assign({}, options, target.options);
+      const doc = globalObject.document;
+      if (!doc) {
+        warn(`Unable to trace ${target.selector} without a document!`);
+        continue;
+      }
+      apply(target.selector, () => TraceAnything.traceSelector(
+          target.selector, targetOptions, doc));
+    }
+
+    return handle;
+  }
+
+  /**
+   * Check the format of a config for applyConfig(), and fill in the short
+   * forms of its targets.
+   *
+   * @param {TraceAnything.Config} config
+   * @return {!Object<string, !Array<TraceAnything.ConfigTarget>>} The targets
+   *   in each section of the config, as objects.  Missing sections are empty.
+   * @private
+   */
+  static _validateConfig(config) {
+    const fail = (problem) => {
+      throw new Error(`Invalid TraceAnything config: ${problem}`);
+    };
+
+    const isObject = (value) =>
+      !!value && typeof value == 'object' && !Array.isArray(value);
+
+    // Like typeof, but tells arrays and null apart from other objects.
+    const typeOf = (value) => value === null ? 'null' :
+        Array.isArray(value) ? 'array' : typeof value;
+
+    const validateOptions = (options, where) => {
+      if (options === undefined) {
+        return;
+      }
+      if (!isObject(options)) {
+        fail(`${where} should be an object.`);
+      }
+
+      for (const k of Object.keys(options)) {
+        if (!Object.prototype.hasOwnProperty.call(
+            TraceAnything.defaultOptions, k) ||
+            TraceAnything._CONFIG_EXCLUDED_OPTIONS.includes(k)) {
+          fail(`${where}.${k} is not a supported option.`);
+        }
+
+        // Each option should have the same type as its default.  Options
+        // which are null by default, like includeMembers, take an array.
+        const expected = TraceAnything.defaultOptions[k];
+        const expectedType = expected === null ? 'array' : typeOf(expected);
+        if (typeOf(options[k]) != expectedType &&
+            !(expected === null && options[k] === null)) {
+          const article = /^[aeiou]/.test(expectedType) ? 'an' : 'a';
+          fail(`${where}.${k} should be ${article} ${expectedType}.`);
+        }
+
+        const values = {
+          mode: TraceAnything.Modes,
+          discovery: TraceAnything.Discovery,
+        }[k];
+        if (values && !Object.values(values).includes(options[k])) {
+          fail(`${where}.${k} should be one of ` +
+              `${Object.values(values).join(', ')}.`);
+        }
+      }
+    };
+
+    if (!isObject(config)) {
+      fail('The config should be an object.');
+    }
+
+    const sections = TraceAnything._CONFIG_SECTIONS;
+    for (const k of Object.keys(config)) {
+      if (k != 'options' && !(k in sections)) {
+        fail(`Unknown section ${k}.`);
+      }
+    }
+    validateOptions(config.options, 'options');
+
+    const targets = {};
+    for (const section in sections) {
+      const key = sections[section];
+      const entries = config[section] || [];
+      if (!Array.isArray(entries)) {
+        fail(`${section} should be an array.`);
+      }
+
+      targets[section] = entries.map((entry, i) => {
+        const where = `${section}[${i}]`;
+        const target = typeof entry == 'string' ? {[key]: entry} : entry;
+        if (!isObject(target)) {
+          fail(`${where} should be a string or an object.`);
+        }
+
+        for (const k of Object.keys(target)) {
+          if (k != key && k != 'options' &&
+              !(section == 'prototypes' && k == 'members')) {
+            fail(`${where} has an unknown field ${k}.`);
+          }
+        }
+        if (typeof target[key] != 'string' || !target[key]) {
+          fail(`${where}.${key} should be a non-empty string.`);
+        }
+        if (section == 'prototypes' && (!Array.isArray(target.members) ||
+            target.members.some((member) => typeof member != 'string'))) {
+          fail(`${where}.members should be an array of strings.`);
+        }
+        if (section == 'elements' && typeof document != 'undefined') {
+          try {
+            document.createDocumentFragment().querySelector(target[key]);
+          } catch (error) {
+            fail(`${where}.${key} is not a valid CSS selector.`);
+          }
+        }
+        validateOptions(target.options, `${where}.options`);
+
+        return target;
+      });
+    }
+
+    return targets;
+  }
+
+  /**
+   * Stop all tracing.  Every handle returned so far will be restored, and
+   * TraceAnything will forget all traced classes and element names.
+   */
+  static untraceAll() {
+    // Restore in the opposite order, in case some shims were stacked on top of
+    // others.
+    for (const handle of [...TraceAnything._activeHandles].reverse()) {
+      handle.restore();
+    }
+
+    TraceAnything._shimmedClasses.clear();
+  }
+
+  /**
+   * Build stub objects from a trace saved by TraceAnything.ReplayRecorder.
+   * The stubs return the recorded results of method calls and fire the
+   * recorded events in order, without the original objects.
+   *
+   * @param {!Object} trace A trace from TraceAnything.ReplayRecorder.
+   * @param {TraceAnything.Options=} options Only the logger and clock are used,
+   *   to report calls which don't match the recording as Warning-type logs.
+   * @return {!TraceAnything.Replay}
+   */
+  static replay(trace, options) {
+    options = Object.assign({}, TraceAnything.defaultOptions, options);
+    return new TraceAnything.Replay(trace, options);
+  }
+
+  /**
+   * Convert a log to a plain object which can safely be converted to JSON.
+   * Circular references are broken, deep or long values are truncated, binary
+   * data is encoded in hex or base64, and traced objects are replaced by their
+   * instance IDs.  Errors, Maps, Sets, Events, and DOM nodes are summarized.
+   *
+   * @param {TraceAnything.Log} log
+   * @param {TraceAnything.SerializeOptions=} options
+   * @return {!Object}
+   */
+  static serializeLog(log, options) {
+    options = Object.assign({}, TraceAnything.defaultSerializeOptions, options);
+
+    const serialized = {};
+    for (const k in log) {
+      serialized[k] = TraceAnything._serialize(
+          log[k], options, options.maxDepth, new Set());
+    }
+    return serialized;
+  }
+
+  /**
+   * Scan the document for elements we should be tracing, explicitly, right now.
+   * Useful in testing if you don't want to wait for the mutation observer to
+   * fire.
+   *
+   * @param {Document=} doc The document to scan.  By default, the main
+   *   document.
+   */
+  static scanDocumentForNewElements(doc) {
+    TraceAnything._traceNewElements(doc || document);
+  }
+
+  /**
+   * Trace existing elements in a document, including those in open shadow
+   * roots.
+   *
+   * @param {string} name The name of the tag of the elements to trace.
+   * @param {!TraceAnything.Handle} handle The handle for tracing these
+   *   elements.
+   * @param {!Document} doc
+   * @private
+   */
+  static _traceExistingElements(name, handle, doc) {
+    const canonicalName = name.toLowerCase();
+    TraceAnything._forEachElement(doc, (element) => {
+      if (element.tagName.toLowerCase() == canonicalName) {
+        TraceAnything._traceObject(element, handle.options, handle);
+      }
+    });
+  }
+
+  /**
+   * Call a function for each element in a subtree, including the root and the
+   * contents of open shadow roots, which querySelectorAll can't see into.
+   *
+   * @param {!Node} root
+   * @param {function(!Element)} callback
+   * @param {function(!ShadowRoot)=} onShadowRoot Called for each open shadow
+   *   root found.
+   * @private
+   */
+  static _forEachElement(root, callback, onShadowRoot) {
+    if (!root.querySelectorAll) {
+      // This is a text node, a comment, or something similar.
+      return;
+    }
+
+    const elements = Array.from(root.querySelectorAll('*'));
+    if (root.tagName) {
+      elements.unshift(root);
+    }
+
+    for (const element of elements) {
+      callback(element);
+
+      if (element.shadowRoot) {
+        if (onShadowRoot) {
+          onShadowRoot(element.shadowRoot);
+        }
+        TraceAnything._forEachElement(
+            element.shadowRoot, callback, onShadowRoot);
+      }
+    }
+  }
+
+  /**
+   * Trace any elements of the names we are tracing in a subtree that was just
+   * added, and monitor its shadow roots for more.
+   *
+   * @param {!Node} root
+   * @private
+   */
+  static _traceNewElements(root) {
+    TraceAnything._forEachElement(root, (element) => {
+      const handle = TraceAnything._getElementHandle(element);
+      if (handle) {
+        TraceAnything._traceObject(element, handle.options, handle);
+      }
+    }, (shadowRoot) => TraceAnything._observeForNewElements(shadowRoot));
+  }
+
+  /**
+   * @param {!Element} element
+   * @return {TraceAnything.Handle} The handle for tracing this element, by its
+   *   name or by a selector it matches, or null if it should not be traced.
+   * @private
+   */
+  static _getElementHandle(element) {
+    const state = TraceAnything._elementStates.get(element.ownerDocument);
+    if (!state) {
+      return null;
+    }
+
+    const name = element.tagName.toLowerCase();
+    if (state.names.has(name)) {
+      return state.names.get(name);
+    }
+
+    for (const [selector, handle] of state.selectors) {
+      if (element.matches(selector)) {
+        return handle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {!Document} doc
+   * @return {!Object} The elements traced in a document, as stored in
+   *   TraceAnything._elementStates, created if needed.
+   * @private
+   */
+  static _getElementState(doc) {
+    let state = TraceAnything._elementStates.get(doc);
+    if (!state) {
+      state = {
+        names: new Map(),
+        selectors: new Map(),
+        observer: null,
+        roots: new Set(),
+        rootRefs: new WeakMap(),
+        originalAttachShadow: null,
+      };
+      TraceAnything._elementStates.set(doc, state);
+    }
+    return state;
+  }
+
+  /**
+   * @param {!Object} state From TraceAnything._getElementState().
+   * @return {boolean} True if any elements are traced by name or selector.
+   * @private
+   */
+  static _hasTracedElements(state) {
+    return state.names.size > 0 || state.selectors.size > 0;
+  }
+
+  /**
+   * Log the removal of traced elements in a subtree that was just removed from
+   * the document.  Elements which were only moved are still in the document,
+   * and are not logged.
+   *
+   * @param {!Node} root
+   * @private
+   */
+  static _logRemovedElements(root) {
+    TraceAnything._forEachElement(root, (element) => {
+      const handle = TraceAnything._getElementHandle(element);
+      const instance = element.__TraceAnything__ ?
+          element : TraceAnything._proxies.get(element);
+
+      if (!handle || !instance || element.isConnected) {
+        return;
+      }
+
+      const className = Object.getPrototypeOf(element).constructor.name;
+      TraceAnything._log({
+        timestamp: Date.now(),
+        duration: 0,
+        type: TraceAnything.LogTypes.Warning,
+        instance,
+        instanceId: TraceAnything._getId(instance, className, handle.options),
+        message: `${className} was removed from the document`,
+      }, handle.options);
+    });
+  }
+
+  /**
+   * Monitor a document or shadow root for new and removed elements.
+   *
+   * @param {!Node} root
+   * @private
+   */
+  static _observeForNewElements(root) {
+    const state =
+        TraceAnything._elementStates.get(root.ownerDocument || root);
+    if (!state || !state.observer) {
+      return;
+    }
+
+    state.observer.observe(root, TraceAnything._getObserverOptions(state));
+    // Keep track of the roots to observe them differently later, but don't
+    // keep shadow roots alive for it.
+    if (!state.rootRefs.has(root)) {
+      const ref = typeof WeakRef == 'function' ?
+          new WeakRef(root) : {deref: () => root};
+      state.rootRefs.set(root, ref);
+      state.roots.add(ref);
+    }
+  }
+
+  /**
+   * Update what is observed in each root of a document, after the selectors
+   * traced in it changed.
+   *
+   * @param {!Object} state From TraceAnything._getElementState().
+   * @private
+   */
+  static _updateObservers(state) {
+    if (!state.observer) {
+      return;
+    }
+
+    const observerOptions = TraceAnything._getObserverOptions(state);
+    for (const ref of state.roots) {
+      const root = ref.deref();
+      if (root) {
+        // This replaces the options we observed the root with before.
+        state.observer.observe(root, observerOptions);
+      } else {
+        state.roots.delete(ref);
+      }
+    }
+  }
+
+  /**
+   * @param {!Object} state From TraceAnything._getElementState().
+   * @return {!MutationObserverInit} What to observe in each root of a
+   *   document.  Changes to attributes only matter for elements traced by
+   *   selector, and only to the attributes those selectors refer to, where we
+   *   can tell.
+   * @private
+   */
+  static _getObserverOptions(state) {
+    const observerOptions = {childList: true, subtree: true};
+    if (!state.selectors.size) {
+      return observerOptions;
+    }
+
+    const attributes =
+        TraceAnything._getSelectorAttributes(state.selectors.keys());
+    if (!attributes) {
+      observerOptions.attributes = true;
+    } else if (attributes.length) {
+      observerOptions.attributes = true;
+      observerOptions.attributeFilter = attributes;
+    }
+    return observerOptions;
+  }
+
+  /**
+   * @param {!Iterable<string>} selectors CSS selectors.
+   * @return {Array<string>} The names of the attributes which can change
+   *   whether an element matches the selectors, or null if we can't tell.
+   * @private
+   */
+  static _getSelectorAttributes(selectors) {
+    const attributes = new Set();
+    for (const selector of selectors) {
+      // Quoted values may contain anything, so drop them first.
+      let rest = selector.replace(
+          /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""');
+      rest = rest.replace(
+          /\[\s*(?:[\w-]*\|)?([\w-]+)[^\]]*\]/g, (match, name) => {
+            // HTML attribute names are case-insensitive, but others are not.
+            attributes.add(name);
+            attributes.add(name.toLowerCase());
+            return '';
+          });
+
+      // Escapes are hard to follow, and most pseudo-classes, such as
+      // :checked or :nth-child(), depend on more than attributes.  Those
+      // which take selectors are covered by the attributes inside them.
+      if (rest.includes('\\') || /:(?!(?:not|is|where)\()/.test(rest)) {
+        return null;
+      }
+      if (rest.includes('.')) {
+        attributes.add('class');
+      }
+      if (rest.includes('#')) {
+        attributes.add('id');
+      }
+    }
+    return Array.from(attributes);
+  }
+
+  /**
+   * Set up an observer to monitor a document for new elements.  If this is
+   * run too early in the lifecycle of the page, the effect will be delayed
+   * until the page's content is fully loaded.
+   *
+   * @param {!Document} doc
+   * @private
+   */
+  static _setupNewElementObserver(doc) {
+    const state = TraceAnything._getElementState(doc);
+    if (!TraceAnything._hasTracedElements(state)) {
+      // We stopped tracing elements before the document was ready.
+      return;
+    }
+
+    if (!doc.body) {
+      // The document isn't ready yet.  Try again when it is.
+      doc.addEventListener('DOMContentLoaded', () => {
+        TraceAnything.scanDocumentForNewElements(doc);
+        TraceAnything._setupNewElementObserver(doc);
+      });
+      return;
+    }
+
+    // If this is called multiple times before DOMContentLoaded, we could end up
+    // with multiple deferred calls occurring later.  Check if we already have
+    // an observer, and do nothing if we have one.
+    if (state.observer) {
+      return;
+    }
+
+    // Use the classes of the document's own window, which may be a frame.
+    const view = doc.defaultView || globalThis;
+
+    // Elements may be added anywhere in the document, including inside other
+    // new elements and inside shadow roots, which each need to be observed.
+    // Changes to attributes may make elements match a traced selector.
+    state.observer = new view.MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        if (mutation.type == 'attributes' && state.selectors.size) {
+          TraceAnything._traceNewElements(mutation.target);
+        }
+        for (const node of mutation.addedNodes) {
+          TraceAnything._traceNewElements(node);
+        }
+        for (const node of mutation.removedNodes) {
+          TraceAnything._logRemovedElements(node);
+        }
+      }
+    });
+
+    TraceAnything._observeForNewElements(doc.documentElement);
+    TraceAnything._forEachElement(
+        doc, () => {}, TraceAnything._observeForNewElements);
+
+    // Shadow roots attached later are observed as soon as they exist.  This
+    // also covers closed shadow roots, which can't be found any other way.
+    const prototype = view.Element.prototype;
+    const originalAttachShadow = prototype.attachShadow;
+    if (originalAttachShadow && !originalAttachShadow.__TraceAnything__) {
+      const attachShadow = function(...args) {
+        const shadowRoot = originalAttachShadow.apply(this, args);
+        TraceAnything._observeForNewElements(shadowRoot);
+        return shadowRoot;
+      };
+      attachShadow.__TraceAnything__ = true;
+      prototype.attachShadow = attachShadow;
+      state.originalAttachShadow = originalAttachShadow;
+    }
+  }
+
+  /**
+   * Stop monitoring a document for new elements.
+   *
+   * @param {!Document} doc
+   * @private
+   */
+  static _teardownNewElementObserver(doc) {
+    const state = TraceAnything._getElementState(doc);
+    if (state.observer) {
+      state.observer.disconnect();
+      state.observer = null;
+      state.roots.clear();
+      state.rootRefs = new WeakMap();
+    }
+
+    // Don't clobber a shim the app may have installed on top of ours.
+    const prototype = (doc.defaultView || globalThis).Element.prototype;
+    if (state.originalAttachShadow &&
+        prototype.attachShadow.__TraceAnything__) {
+      prototype.attachShadow = state.originalAttachShadow;
+      state.originalAttachShadow = null;
+    }
+  }
+
+  /**
+   * Shim one member for tracing.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {!Object} object The original object.
+   * @param {(string|symbol)} k The member name.
+   * @param {string} className The class name.
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle The handle through which this member
+   *   can be restored.
+   * @private
+   */
+  static _shimMember(traced, object, k, className, options, handle) {
+    // If we are not supposed to trace a member, we still shim it, or else
+    // reading/writing it won't trigger any native getters/setters on the
+    // underlying object.  This "silent" shim won't trace the values, but will
+    // just delegate to the underlying object.
+
+    if (typeof object[k] == 'function') {
+      if (options.methods) {
+        TraceAnything._shimMethod(
+            traced, object, k, className, options, handle);
+      } else {
+        TraceAnything._shimPropertySilent(traced, object, k, options);
+      }
+    } else if (options.properties && options.treatPromisePropertiesAsEvents &&
+               object[k] && object[k].then) {
+      TraceAnything._shimPromiseProperty(
+          traced, object, k, className, options, handle);
+    } else {
+      if (options.properties) {
+        TraceAnything._shimProperty(
+            traced, object, k, className, options, handle);
+      } else {
+        TraceAnything._shimPropertySilent(traced, object, k, options);
+      }
+    }
+  }
+
+  /**
+   * Shim one method for tracing.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {!Object} object The original object.
+   * @param {(string|symbol)} k The member name.
+   * @param {string} className The class name.
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle The handle through which this method
+   *   can be restored.
+   * @private
+   */
+  static _shimMethod(traced, object, k, className, options, handle) {
+    const originalMethod = object[k];
+    TraceAnything._saveMember(traced, object, k, handle, null);
+
+    // Set a shim method that logs the arguments and any return values or
+    // thrown errors.
+    traced[k] = function(...args) {
+      return TraceAnything._invokeMethod(
+          originalMethod, this, this, args, className, String(k), options);
+    };
+
+    // Make sure we can tell later what is shimmed already.
+    traced[k].__TraceAnything__ = true;
+  }
+
+  /**
+   * Call a method and log the call.  If the return value is of a type that we
+   * are tracing, we also shim the return value.
+   *
+   * @param {function} originalMethod The original method.
+   * @param {?} instance The instance to log.
+   * @param {?} thisArg The "this" value for the original method.
+   * @param {!Array<?>} args The arguments to the method.
+   * @param {string} className The class name.
+   * @param {string|undefined} methodName The method name, or undefined if the
+   *   function itself is being called.
+   * @param {TraceAnything.Options} options
+   * @param {Object=} extraFields Additional fields for the log.
+   * @return {?} The return value, or a traced version of it.
+   * @private
+   */
+  static _invokeMethod(
+      originalMethod, instance, thisArg, args, className, methodName, options,
+      extraFields) {
+    const log = Object.assign({
+      timestamp: Date.now(),
+      type: TraceAnything.LogTypes.Method,
+      instance,
+      instanceId: TraceAnything._getId(instance, className, options),
+      className,
+      methodName,
+      args,
+    }, extraFields);
+    TraceAnything._startCall(log, options);
+
+    // Events are traced separately, so leave event listeners alone.  The
+    // arguments of callbacks themselves, such as the functions passed to a
+    // Promise executor, are left alone, too.
+    if (options.traceCallbackArgs && log.callbackOf == undefined &&
+        !TraceAnything._EVENT_TARGET_METHODS.includes(methodName)) {
+      args = TraceAnything._wrapCallbackArgs(args, log, options);
+    }
+
+    try {
+      const returnValue = TraceAnything._runInCall(
+          log, () => originalMethod.apply(thisArg, args));
+      log.result = returnValue;
+      TraceAnything._endCall(log, options);
+
+      if (returnValue == null) {
+        // If this is null, it's not a Promise.  Return the value right away.
+        TraceAnything._log(log, options);
+        return returnValue;
+      }
+
+      // We can't shim the types coming out of async methods without waiting on
+      // the results.  This check covers both Promises and more general
+      // "thenables", of which Promises are one implementation.
+      if (returnValue.then) {
+        log.async = true;
+
+        if (options.logAsyncResultsImmediately) {
+          TraceAnything._log(log, options);
+        }
+
+        // The Promise callbacks run in the context of the original call, so
+        // that anything traced there is correlated with it, even without
+        // async context tracking.
+        const promiseShim = new Promise((resolve, reject) => {
+          const onResolved = (asyncValue) => {
+            asyncValue = TraceAnything._shimReturnValue(asyncValue, options);
+            asyncValue = TraceAnything._traceIterator(asyncValue, log, options);
+            log.asyncDuration = options.clock() - log.startTime;
+            log.asyncResult = asyncValue;
+
+            if (options.logAsyncResultsImmediately) {
+              // The log has been sent already, so redact the new field now.
+              TraceAnything._redact(log, options, ['asyncResult']);
+            } else {
+              log.result = asyncValue;
+              TraceAnything._endCall(log, options);
+              TraceAnything._log(log, options);
+            }
+
+            resolve(asyncValue);
+          };
+
+          const onRejected = (error) => {
+            log.asyncDuration = options.clock() - log.startTime;
+            log.asyncThrew = error;
+
+            if (options.logAsyncResultsImmediately) {
+              TraceAnything._redact(log, options, ['asyncThrew']);
+            } else {
+              delete log.result;
+              log.threw = error;
+              TraceAnything._endCall(log, options);
+              TraceAnything._log(log, options);
+            }
+
+            reject(error);
+          };
+
+          returnValue.then(
+              (asyncValue) => TraceAnything._runInCall(
+                  log, () => onResolved(asyncValue)),
+              (error) => TraceAnything._runInCall(
+                  log, () => onRejected(error)));
+        });
+
+        return promiseShim;
+      } else {
+        // Shim the return value before logging it, so that its ID shows up in
+        // the logs.
+        const shimmedValue = TraceAnything._traceIterator(
+            TraceAnything._shimReturnValue(returnValue, options), log, options);
+        log.result = shimmedValue;
+        TraceAnything._log(log, options);
+        return shimmedValue;
+      }
+    } catch (error) {
+      delete log.result;
+      log.threw = error;
+      TraceAnything._endCall(log, options);
+      TraceAnything._log(log, options);
+      throw error;
+    }
+  }
+
+  /**
+   * Wrap the function arguments of a call, so that calls to them are logged.
+   * See TraceAnything.Options.traceCallbackArgs.
+   *
+   * @param {!Array<?>} args
+   * @param {TraceAnything.Log} log The log of the call which receives the
+   *   arguments.
+   * @param {TraceAnything.Options} options
+   * @return {!Array<?>} A copy of the arguments, with callbacks wrapped.
+   * @private
+   */
+  static _wrapCallbackArgs(args, log, options) {
+    return args.map((callback) => {
+      // Classes passed as arguments are constructed, not called back.
+      if (typeof callback != 'function' || callback.__TraceAnything__ ||
+          TraceAnything._isClass(callback)) {
+        return callback;
+      }
+
+      // Calls are linked to the latest call which received the callback, such
+      // as the latest requestAnimationFrame() call of a render loop.
+      const registration = {log, options};
+
+      // Reuse wrappers, so that the app can still unregister a callback by
+      // passing the same function again.
+      const cached = TraceAnything._callbackWrappers.get(callback);
+      if (cached) {
+        cached.registration = registration;
+        return cached.wrapper;
+      }
+
+      const entry = {registration, wrapper: null};
+      entry.wrapper = function(...callbackArgs) {
+        const {log, options} = entry.registration;
+
+        // Once tracing is turned off, the app's loops which keep passing the
+        // wrapper along, such as timers, should stop being logged.
+        const handle = TraceAnything._optionsHandles.get(options);
+        if (!handle || handle.restored) {
+          return callback.apply(this, callbackArgs);
+        }
+
+        const registeredBy = log.type == TraceAnything.LogTypes.Constructor ?
+            'constructor' : log.methodName;
+        const methodName = registeredBy == undefined ?
+            'callback' : `${registeredBy} callback`;
+
+        // A callback may be called while its constructor is still running,
+        // before there is an instance to log it on.
+        const instance = log.instance !== undefined ? log.instance : callback;
+        return TraceAnything._invokeMethod(
+            callback, instance, this, callbackArgs, log.className, methodName,
+            options, {callbackOf: log.callId});
+      };
+
+      // Keep the callback's own properties working.
+      Object.setPrototypeOf(entry.wrapper, callback);
+      Object.defineProperty(entry.wrapper, 'name', {value: callback.name});
+      entry.wrapper.__TraceAnything__ = true;
+
+      TraceAnything._callbackWrappers.set(callback, entry);
+      return entry.wrapper;
+    });
+  }
+
+  /**
+   * Shim an iterator, async iterator, ReadableStream, or stream reader in
+   * place, so that each step is logged.  See
+   * TraceAnything.Options.traceIterators.
+   *
+   * @param {?} value
+   * @param {TraceAnything.Log} log The log of the call which returned the
+   *   value.
+   * @param {TraceAnything.Options} options
+   * @return {?} The same value.
+   * @private
+   */
+  static _traceIterator(value, log, options) {
+    if (!options.traceIterators || Object(value) !== value ||
+        value.__TraceAnything__ || TraceAnything._tracedIterators.has(value)) {
+      return value;
+    }
+
+    const handle = TraceAnything._optionsHandles.get(options);
+    if (!handle || handle.restored) {
+      return value;
+    }
+
+    let stepNames;
+    if (typeof ReadableStream == 'function' &&
+        value instanceof ReadableStream) {
+      stepNames = ['cancel'];
+
+      // Readers and iterators from the stream are traced, too, with steps
+      // linked to the same call.
+      for (const k of ['getReader', 'values', Symbol.asyncIterator]) {
+        const original = value[k];
+        if (typeof original == 'function') {
+          TraceAnything._defineStep(value, k, handle, function(...args) {
+            return TraceAnything._traceIterator(
+                original.apply(this, args), log, options);
+          });
+        }
+      }
+    } else if (typeof value.read == 'function' &&
+               typeof value.releaseLock == 'function') {
+      stepNames = ['read', 'cancel'];
+    } else if (typeof value.next == 'function' &&
+               (Symbol.iterator in value || Symbol.asyncIterator in value)) {
+      stepNames = ['next', 'return', 'throw'];
+    } else {
+      return value;
+    }
+
+    const iteratorOf = log.callId;
+    for (const name of stepNames) {
+      const original = value[name];
+      if (typeof original != 'function') {
+        continue;
+      }
+
+      const methodName = log.methodName == undefined ?
+          name : `${log.methodName} ${name}`;
+      TraceAnything._defineStep(value, name, handle, function(...args) {
+        if (handle.restored) {
+          // The app may still be holding onto this shim.
+          return original.apply(this, args);
+        }
+        return TraceAnything._invokeMethod(
+            original, log.instance, this, args, log.className, methodName,
+            options, {iteratorOf});
+      });
+    }
+
+    TraceAnything._tracedIterators.add(value);
+    handle._addUndoStep(
+        () => TraceAnything._tracedIterators.delete(value), value);
+    return value;
+  }
+
+  /**
+   * Define a shim for a method of an iterator or stream on the object itself,
+   * so that it is still the original object for native code.
+   *
+   * @param {!Object} object
+   * @param {(string|symbol)} k
+   * @param {!TraceAnything.Handle} handle The handle through which the shim
+   *   can be removed.
+   * @param {function(...?)} shim
+   * @private
+   */
+  static _defineStep(object, k, handle, shim) {
+    const descriptor = Object.getOwnPropertyDescriptor(object, k);
+    handle._addUndoStep(() => {
+      if (descriptor) {
+        Object.defineProperty(object, k, descriptor);
+      } else {
+        // The method was inherited, so removing the shim uncovers it again.
+        delete object[k];
+      }
+    }, object);
+
+    Object.defineProperty(object, k, {
+      configurable: true,
+      enumerable: false,
+      writable: true,
+      value: shim,
+    });
+  }
+
+  /**
+   * Shim a return value.
+   *
+   * @param {?} returnValue
+   * @param {TraceAnything.Options} options
+   * @return {?} A traced version of the return value if it is of a type that we
+   *   are configured to trace.
+   * @private
+   */
+  static _shimReturnValue(returnValue, options) {
+    if (returnValue == null) {
+      // This is null or undefined.
+      return returnValue;
+    }
+
+    if (returnValue.__TraceAnything__) {
+      // This is a value we're already tracing.  So return it now.
+      return returnValue;
+    }
+
+    if (TraceAnything._proxies.has(returnValue)) {
+      // This is the original of a value we're tracing through a proxy.  So
+      // return the proxy instead.
+      return TraceAnything._proxies.get(returnValue);
+    }
+
+    const returnTypeHandle = TraceAnything._getShimmedClass(returnValue);
+    if (returnTypeHandle) {
+      // The returned value is of a type we are tracing, but we aren't
+      // tracing this value yet.  This could happen if the value were
+      // constructed natively inside the browser.  To trace it, we return a
+      // wrapper to trace the return value.
+      return TraceAnything._traceObject(
+          returnValue, returnTypeHandle.options, returnTypeHandle);
+    }
+
+    for (const k of options.exploreResultFields) {
+      if (k in returnValue) {
+        returnValue[k] = TraceAnything._shimReturnValue(returnValue[k], options);
+      }
+    }
+
+    // This is a value we aren't tracing and shouldn't be tracing.
+    return returnValue;
+  }
+
+  /**
+   * @param {!Object} value
+   * @return {TraceAnything.Handle} The handle for tracing the class of this
+   *   value, or null if we aren't tracing it.
+   * @private
+   */
+  static _getShimmedClass(value) {
+    const prototype = Object.getPrototypeOf(value);
+    const ctor = prototype && prototype.constructor;
+    if (TraceAnything._shimmedClasses.has(ctor)) {
+      return TraceAnything._shimmedClasses.get(ctor);
+    }
+
+    // An object from a frame traced through traceFrames() is an instance of
+    // the frame's own copy of the class.  Match it to a traced class only if
+    // both are the same global in their own windows.
+    const frame = ctor && ctor.name ? TraceAnything._getFrame(value) : null;
+    if (frame && frame.frameWindow[ctor.name] === ctor) {
+      return TraceAnything._shimmedClasses.get(globalThis[ctor.name]) || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Shim one property (not a method) for tracing.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {!Object} object The original object.
+   * @param {(string|symbol)} k The member name.
+   * @param {string} className The class name.
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle The handle through which this
+   *   property can be restored.
+   * @private
+   */
+  static _shimProperty(traced, object, k, className, options, handle) {
+    const originalDescriptor = TraceAnything._getDescriptor(object, k);
+    console.assert(originalDescriptor != null);
+
+    if (options.inPlace && !originalDescriptor.configurable) {
+      TraceAnything._log({
+        timestamp: Date.now(),
+        duration: 0,
+        type: TraceAnything.LogTypes.Warning,
+        message: `Unable to trace ${String(k)} on ${className} in-place!`,
+      }, options);
+      return;
+    }
+
+    const newDescriptor = {
+      configurable: true,
+      enumerable: originalDescriptor.enumerable,
+    };
+
+    if ('value' in originalDescriptor) {
+      // The original had no getter/setter for us to delegate to.  So our
+      // getter and setter will store the value in this local variable.  Our
+      // setter will log the new value.
+      let propertyValue = originalDescriptor.value;
+      TraceAnything._saveMember(traced, object, k, handle, () => propertyValue);
+
+      // Since there was no original getter, the value will only change through
+      // the setter.  So we don't log anything from this getter.
+      newDescriptor.get = () => propertyValue;
+
+      if (originalDescriptor.writable) {
+        newDescriptor.set = (value) => {
+          TraceAnything._log({
+            timestamp: Date.now(),
+            duration: 0,
+            type: TraceAnything.LogTypes.Setter,
+            instance: traced,
+            instanceId: TraceAnything._getId(traced, className, options),
+            className,
+            memberName: String(k),
+            value,
+          }, options);
+          propertyValue = value;
+        };
+      }
+    } else {
+      TraceAnything._saveMember(traced, object, k, handle, null);
+
+      // Define a property whose getter and setter delegate to the object's
+      // original getter and setter. Our setter will log the new value.
+      if (originalDescriptor.get) {
+        newDescriptor.get = function() {
+          return TraceAnything._invokeGetter(
+              originalDescriptor.get, traced, this, className, String(k),
+              options);
+        };
+      }
+
+      if (originalDescriptor.set) {
+        newDescriptor.set = function(value) {
+          TraceAnything._invokeSetter(
+              originalDescriptor.set, traced, this, value, className,
+              String(k), options);
+        };
+      }
+    }
+
+    Object.defineProperty(traced, k, newDescriptor);
+  }
+
+  /**
+   * Call a getter and log the call.
+   *
+   * @param {function():?} getter The original getter.
+   * @param {?} instance The instance to log.
+   * @param {?} thisArg The "this" value for the original getter.
+   * @param {string} className The class name.
+   * @param {string} k The member name.
+   * @param {TraceAnything.Options} options
+   * @return {?} The value returned by the getter.
+   * @private
+   */
+  static _invokeGetter(getter, instance, thisArg, className, k, options) {
+    const log = {
+      timestamp: Date.now(),
+      type: TraceAnything.LogTypes.Getter,
+      instance,
+      instanceId: TraceAnything._getId(instance, className, options),
+      className,
+      memberName: k,
+    };
+    TraceAnything._startCall(log, options);
+
+    try {
+      const value = TraceAnything._runInCall(log, () => getter.call(thisArg));
+      log.result = value;
+      TraceAnything._endCall(log, options);
+      TraceAnything._log(log, options);
+
+      return value;
+    } catch (error) {
+      log.threw = error;
+      TraceAnything._endCall(log, options);
+      TraceAnything._log(log, options);
+      throw error;
+    }
+  }
+
+  /**
+   * Call a setter and log the call.
+   *
+   * @param {function(?)} setter The original setter.
+   * @param {?} instance The instance to log.
+   * @param {?} thisArg The "this" value for the original setter.
+   * @param {?} value The value to set.
+   * @param {string} className The class name.
+   * @param {string} k The member name.
+   * @param {TraceAnything.Options} options
+   * @return {?} The value returned by the setter, if any.
+   * @private
+   */
+  static _invokeSetter(
+      setter, instance, thisArg, value, className, k, options) {
+    const log = {
+      timestamp: Date.now(),
+      type: TraceAnything.LogTypes.Setter,
+      instance,
+      instanceId: TraceAnything._getId(instance, className, options),
+      className,
+      memberName: k,
+    };
+    TraceAnything._startCall(log, options);
+
+    try {
+      const returnValue =
+          TraceAnything._runInCall(log, () => setter.call(thisArg, value));
+      log.value = value;
+      TraceAnything._endCall(log, options);
+      TraceAnything._log(log, options);
+
+      return returnValue;
+    } catch (error) {
+      log.threw = error;
+      TraceAnything._endCall(log, options);
+      TraceAnything._log(log, options);
+      throw error;
+    }
+  }
+
+  /**
+   * Shim one property that contains a Promise or Promise getter.  When the
+   * Promise is resolved, a pseudo-event will be logged.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {!Object} object The original object.
+   * @param {(string|symbol)} k The member name.
+   * @param {string} className The class name.
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle The handle through which tracing of
+   *   this property can be stopped.
+   * @private
+   */
+  static _shimPromiseProperty(traced, object, k, className, options, handle) {
+    const promise = object[k];
+    // There is no way to detach from a Promise, so once the handle is
+    // restored, we simply stop logging.
+    promise.then((result) => {
+      if (handle.restored) {
+        return;
+      }
+
+      const log = {
+        timestamp: Date.now(),
+        duration: 0,
+        type: TraceAnything.LogTypes.Event,
+        instance: traced,
+        instanceId: TraceAnything._getId(traced, className, options),
+        className,
+        eventName: `${String(k)} Promise resolved`,
+        event: {
+          result,
+        },
+      };
+      TraceAnything._log(log, options);
+    }, (error) => {
+      if (handle.restored) {
+        return;
+      }
+
+      const log = {
+        timestamp: Date.now(),
+        duration: 0,
+        type: TraceAnything.LogTypes.Event,
+        instance: traced,
+        instanceId: TraceAnything._getId(traced, className, options),
+        className,
+        eventName: `${String(k)} Promise rejected`,
+        event: {
+          threw: error,
+        },
+      };
+      TraceAnything._log(log, options);
+    });
+  }
+
+  /**
+   * If we are not supposed to trace a member, we still shim it, or else
+   * reading/writing it won't trigger any native getters/setters on the
+   * underlying object.  This "silent" shim won't trace the values, but will
+   * just delegate to the underlying object.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {!Object} object The original object.
+   * @param {(string|symbol)} k The member name.
+   * @param {TraceAnything.Options} options
+   * @private
+   */
+  static _shimPropertySilent(traced, object, k, options) {
+    if (options.inPlace) {
+      // If we're shimming the object in-place, we don't need a "silent" shim.
+      // That is only needed for constructing a new traced object to take the
+      // place of the original.
+      return;
+    }
+
+    const originalDescriptor = TraceAnything._getDescriptor(object, k);
+    console.assert(originalDescriptor != null);
+
+    // Copy the original descriptor, but make it configurable in case another
+    // part of the code wants to reconfigure the property.
+    const newDescriptor = Object.assign({}, originalDescriptor, {
+      configurable: true,
+    });
+
+    Object.defineProperty(traced, k, newDescriptor);
+  }
+
+  /**
+   * Shim an event listener property for tracing.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {!Object} object The original object.
+   * @param {string} k The member name.
+   * @param {string} className The class name.
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle The handle through which this
+   *   property can be restored.
+   * @private
+   */
+  static _shimEventListenerProperty(
+      traced, object, k, className, options, handle) {
+    const eventName = k.replace(/^on/, '');
+
+    if (options.skipEvents.includes(eventName)) {
+      return;
+    }
+
+    traced.__TraceAnythingEvents__.add(eventName);
+
+    const originalDescriptor = TraceAnything._getDescriptor(object, k);
+    console.assert(originalDescriptor != null);
+
+    // An event handler attribute like "onfoo" has a getter and setter for the
+    // native code to put the new values into action.  A data property from
+    // options.eventHandlerProperties is called by the object's own code, so we
+    // store the shim in its place, and must get the shim back to call it.
+    let storedListener = originalDescriptor.value;
+    const isAttribute = originalDescriptor.set != null;
+    const setListener = originalDescriptor.set ?
+        (self, listener) => originalDescriptor.set.call(self, listener) :
+        (self, listener) => {
+          storedListener = listener;
+        };
+
+    // Save the old value to be shimmed later.  Note that for an in-place shim,
+    // this will be overwritten by our getter/setter later, so we must save it
+    // now.
+    const oldListener = object[k];
+
+    // The listener the app has set, which the getter returns in place of our
+    // shim.
+    let appListener = oldListener;
+
+    // When restored, hand the app's listener back to the original setter.
+    // Undo steps run in reverse, so this will happen after the original
+    // property is restored below.
+    handle._addUndoStep(() => {
+      traced[k] = appListener;
+    });
+    TraceAnything._saveMember(traced, object, k, handle, null);
+
+    // Listen for the event ourselves, so that it is still traced when the app
+    // clears the property.
+    if (typeof object.addEventListener == 'function') {
+      const listener = TraceAnything._shimEventListener(
+          object, null, className, eventName, options);
+      const removeEventListener = object.removeEventListener;
+      object.addEventListener(eventName, listener);
+      handle._addUndoStep(() => {
+        removeEventListener.call(object, eventName, listener);
+      });
+    }
+
+    // Shim any future listeners set through the traced object.
+    Object.defineProperty(traced, k, {
+      configurable: true,
+      enumerable: true,
+      get: () => isAttribute ? appListener : storedListener,
+      set: function(listener) {
+        // Like the original, anything but an object or function clears it.
+        appListener = Object(listener) === listener ? listener : null;
+
+        setListener(this, appListener && TraceAnything._shimEventListener(
+            object, appListener, className, eventName, options));
+      },
+    });
+
+    // Set the old listener again (which may be null or undefined) to shim it
+    // right away.
+    traced[k] = oldListener;
+  }
+
+  /**
+   * Add our own event listeners dynamically when the app adds listeners for
+   * events we don't know about yet, and wrap the app's own listeners so that
+   * anything they do is correlated with the event.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {!Object} object The original object.
+   * @param {string} className The class name.
+   * @param {TraceAnything.Options} options
+   * @param {!TraceAnything.Handle} handle The handle through which these
+   *   listeners can be removed.
+   * @private
+   */
+  static _shimEventListenersDynamically(
+      traced, object, className, options, handle) {
+    const originalMethod = object.addEventListener;
+    const originalRemoveMethod = object.removeEventListener;
+
+    // Our own listeners, which must be removed when the handle is restored.
+    // Undo steps run in reverse, so this will happen after the original
+    // methods are restored below.
+    const addedListeners = [];
+    handle._addUndoStep(() => {
+      for (const {target, eventName, listener} of addedListeners) {
+        target.removeEventListener(eventName, listener);
+      }
+      TraceAnything._unwrapAppListeners(
+          object, originalMethod, originalRemoveMethod);
+    });
+    TraceAnything._saveMember(traced, object, 'addEventListener', handle, null);
+    TraceAnything._saveMember(
+        traced, object, 'removeEventListener', handle, null);
+
+    // Set a shim method that tracks any newly discovered events and adds
+    // listeners for them.
+    traced.addEventListener = function(eventName, ...args) {
+      if (!traced.__TraceAnythingEvents__.has(eventName) &&
+          !options.skipEvents.includes(eventName)) {
+        traced.__TraceAnythingEvents__.add(eventName);
+
+        const listener = TraceAnything._shimEventListener(
+            traced, null, className, eventName, options);
+        originalMethod.call(this, eventName, listener);
+        addedListeners.push({target: this, eventName, listener});
+      }
+
+      return originalMethod.apply(this, TraceAnything._addAppListener(
+          traced, this, [eventName, ...args], className, options));
+    };
+
+    // Set a shim method that removes the wrapper in place of the app's
+    // listener.
+    if (originalRemoveMethod) {
+      traced.removeEventListener = function(...args) {
+        return originalRemoveMethod.apply(
+            this, TraceAnything._removeAppListener(this, args));
+      };
+    }
+  }
+
+  /**
+   * Get the app's listeners for an event on a traced object.
+   *
+   * @param {!Object} target The object the listeners were added to.
+   * @param {string} eventName
+   * @param {boolean} create True to create the list if there is none yet.
+   * @return {!Array<!Object>}
+   * @private
+   */
+  static _getAppListeners(target, eventName, create) {
+    target = TraceAnything._unwrap(target);
+    let listenersByEvent = TraceAnything._appListeners.get(target);
+    if (!listenersByEvent) {
+      if (!create) {
+        return [];
+      }
+      listenersByEvent = new Map();
+      TraceAnything._appListeners.set(target, listenersByEvent);
+    }
+
+    let listeners = listenersByEvent.get(eventName);
+    if (!listeners) {
+      listeners = [];
+      if (create) {
+        listenersByEvent.set(eventName, listeners);
+      }
+    }
+    return listeners;
+  }
+
+  /**
+   * Get the capture flag from the options of addEventListener or
+   * removeEventListener, which may be a boolean.
+   *
+   * @param {(boolean|Object|undefined)} listenerOptions
+   * @return {boolean}
+   * @private
+   */
+  static _getCapture(listenerOptions) {
+    if (listenerOptions && typeof listenerOptions == 'object') {
+      return !!listenerOptions.capture;
+    }
+    return !!listenerOptions;
+  }
+
+  /**
+   * Wrap a listener the app is adding through addEventListener, so that it
+   * runs in the context of the Event log, and remember it, so that it can be
+   * removed again and listed in the log.  The listener options, including
+   * "once", "passive", and "signal", are passed on to the original untouched.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {!Object} target The object the listener is added to.
+   * @param {!Array<?>} args The arguments to addEventListener.
+   * @param {string} className The class name.
+   * @param {TraceAnything.Options} options
+   * @return {!Array<?>} The arguments for the original addEventListener.
+   * @private
+   */
+  static _addAppListener(traced, target, args, className, options) {
+    const [eventName, listener, listenerOptions] = args;
+    const signal = listenerOptions && listenerOptions.signal;
+
+    // The original will ignore a null listener or an aborted signal.
+    if (Object(listener) !== listener || (signal && signal.aborted) ||
+        options.skipEvents.includes(eventName)) {
+      return args;
+    }
+
+    const capture = TraceAnything._getCapture(listenerOptions);
+    const listeners =
+        TraceAnything._getAppListeners(target, eventName, /* create= */ true);
+    let entry = listeners.find((entry) =>
+      entry.listener == listener && entry.capture == capture);
+
+    // If this is a duplicate, pass on the same wrapper, so that the original
+    // will ignore it, too.
+    if (!entry) {
+      const shim = TraceAnything._shimEventListener(
+          traced, listener, className, eventName, options);
+      const remove = () => {
+        const index = listeners.indexOf(entry);
+        if (index != -1) {
+          listeners.splice(index, 1);
+        }
+      };
+      const once = !!(listenerOptions && listenerOptions.once);
+
+      entry = {
+        listener,
+        capture,
+        listenerOptions,
+        wrapper: function(event) {
+          if (once) {
+            remove();
+          }
+          return shim.call(this, event);
+        },
+      };
+      listeners.push(entry);
+
+      if (signal) {
+        signal.addEventListener('abort', remove, {once: true});
+      }
+    }
+
+    return [eventName, entry.wrapper, ...args.slice(2)];
+  }
+
+  /**
+   * Forget a listener the app is removing through removeEventListener.
+   *
+   * @param {!Object} target The object the listener is removed from.
+   * @param {!Array<?>} args The arguments to removeEventListener.
+   * @return {!Array<?>} The arguments for the original removeEventListener,
+   *   with our wrapper in place of the app's listener.
+   * @private
+   */
+  static _removeAppListener(target, args) {
+    const [eventName, listener, listenerOptions] = args;
+    const capture = TraceAnything._getCapture(listenerOptions);
+    const listeners = TraceAnything._getAppListeners(target, eventName);
+    const index = listeners.findIndex((entry) =>
+      entry.listener == listener && entry.capture == capture);
+    if (index == -1) {
+      return args;
+    }
+
+    const [entry] = listeners.splice(index, 1);
+    return [eventName, entry.wrapper, ...args.slice(2)];
+  }
+
+  /**
+   * Put the app's own listeners back in place of our wrappers, once tracing
+   * stops.
+   *
+   * @param {!Object} target The original object.
+   * @param {function(...?)} addEventListener The original addEventListener.
+   * @param {function(...?)} removeEventListener The original
+   *   removeEventListener.
+   * @private
+   */
+  static _unwrapAppListeners(target, addEventListener, removeEventListener) {
+    const listenersByEvent = TraceAnything._appListeners.get(target);
+    if (!listenersByEvent) {
+      return;
+    }
+    TraceAnything._appListeners.delete(target);
+
+    for (const [eventName, listeners] of listenersByEvent) {
+      for (const entry of listeners) {
+        removeEventListener.call(
+            target, eventName, entry.wrapper, entry.capture);
+        addEventListener.call(
+            target, eventName, entry.listener, entry.listenerOptions);
+      }
+    }
+  }
+
+  /**
+   * Shim an event listener for tracing.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {(function(?)|Object)} listener The app's event listener, or null
+   *   for a listener of our own, which only logs events.
+   * @param {string} className The class name.
+   * @param {string} eventName The event name.
+   * @param {TraceAnything.Options} options
+   * @return {function(?)} A shim for the event listener which logs events.
+   * @private
+   */
+  static _shimEventListener(traced, listener, className, eventName, options) {
+    // If this event corresponds to a change in a specific property, try to
+    // find it now.  Then we can log the specific value it has in the listener.
+    let correspondingPropertyName = null;
+
+    if (eventName in options.eventProperties) {
+      correspondingPropertyName = options.eventProperties[eventName];
+    } else {
+      const canonicalEventName = eventName.toLowerCase();
+      const lowerCasePropertyName = canonicalEventName.replace(/change$/, '');
+      for (const k in traced) {
+        if (k.toLowerCase() == lowerCasePropertyName) {
+          correspondingPropertyName = k;
+          break;
+        }
+      }
+    }
+
+    // Return a shim listener which logs the event.
+    const shim = function(event) {
+      const log = TraceAnything._logEvent(
+          traced, event, className, eventName, correspondingPropertyName,
+          options, shim, listener);
+      if (!listener) {
+        return undefined;
+      }
+
+      // Run the listener in the context of the event, so that anything traced
+      // by the listener is correlated with it.
+      return TraceAnything._runInCall(log, () => {
+        // This supports the EventListener interface, in which "listener" could
+        // be an object with a "handleEvent" field.
+        if (listener.handleEvent) {
+          return listener.handleEvent.call(listener, event);
+        } else {
+          return listener.call(this, event);
+        }
+      });
+    };
+    return shim;
+  }
+
+  /**
+   * Log an event on a traced object, once per dispatch.  Our own listener and
+   * each of the app's listeners will all reach this, in whatever order they
+   * were added, and share the same log.  The app's listeners are added to the
+   * log as the event reaches them.
+   *
+   * @param {!Object} traced The traced object.
+   * @param {?} event The event.
+   * @param {string} className The class name.
+   * @param {string} eventName The event name.
+   * @param {(string|Array<string>|null)} correspondingPropertyName The
+   *   property or properties whose values should be logged with the event.
+   * @param {TraceAnything.Options} options
+   * @param {function(?)} shim The shim listener the event reached.
+   * @param {(function(?)|Object)} listener The app's listener behind the shim,
+   *   or null for our own listener.
+   * @return {TraceAnything.Log}
+   * @private
+   */
+  static _logEvent(
+      traced, event, className, eventName, correspondingPropertyName,
+      options, shim, listener) {
+    let dispatches = null;
+    if (Object(event) === event) {
+      dispatches = TraceAnything._eventLogs.get(event);
+      if (!dispatches) {
+        dispatches = new Map();
+        TraceAnything._eventLogs.set(event, dispatches);
+      }
+
+      // Each listener is called at most once per dispatch, so a listener we
+      // have seen already means the same event is being dispatched again.
+      const dispatch = dispatches.get(traced);
+      if (dispatch && !dispatch.shims.has(shim)) {
+        dispatch.shims.add(shim);
+        if (listener) {
+          dispatch.log.listeners.push(listener);
+        }
+        return dispatch.log;
+      }
+    }
+
+    const log = {
+      timestamp: Date.now(),
+      duration: 0,
+      type: TraceAnything.LogTypes.Event,
+      instance: traced,
+      instanceId: TraceAnything._getId(traced, className, options),
+      className,
+      eventName,
+      event,
+      listeners: listener ? [listener] : [],
+    };
+
+    // The corresponding property may be an array of multiple properties which
+    // should be logged with this event.  If so, create an Object mapping
+    // names to values.
+    if (Array.isArray(correspondingPropertyName)) {
+      log.value = {};
+      for (const name of correspondingPropertyName) {
+        log.value[name] = TraceAnything._extractProperty(traced, name);
+      }
+    } else if (correspondingPropertyName) {
+      log.value = TraceAnything._extractProperty(
+          traced, correspondingPropertyName);
+    }
+
+    if (dispatches) {
+      dispatches.set(traced, {log, shims: new Set([shim])});
+    }
+    TraceAnything._log(log, options);
+    return log;
+  }
+
+  /**
+   * @param {?} instance
+   * @return {string} The name of the realm the instance comes from: a frame
+   *   traced through traceFrames(), or else the one TraceAnything runs in.
+   * @private
+   */
+  static _getRealm(instance) {
+    const frame = TraceAnything._getFrame(instance);
+    return frame ? frame.realm : TraceAnything._realm;
+  }
+
+  /**
+   * @param {?} value
+   * @return {?{realm: string, frameWindow: !Window}} The frame traced through
+   *   traceFrames() which the value comes from, or null if it comes from
+   *   anywhere else.
+   * @private
+   */
+  static _getFrame(value) {
+    // Objects from this realm are the common case, and quick to rule out.
+    if (Object(value) !== value || value instanceof Object) {
+      return null;
+    }
+
+    // Find the Object.prototype of the value's realm at the end of its
+    // prototype chain.
+    let prototype = Object.getPrototypeOf(value);
+    while (prototype && Object.getPrototypeOf(prototype)) {
+      prototype = Object.getPrototypeOf(prototype);
+    }
+    return (prototype && TraceAnything._frameRealms.get(prototype)) || null;
+  }
+
+  /**
+   * Send a log to the logger, unless it is filtered, rate-limited, or not
+   * sampled.  Logs which did not start a call of their own are correlated with
+   * the current call here, and all logs are redacted here.
+   *
+   * @param {TraceAnything.Log} log
+   * @param {TraceAnything.Options} options
+   * @private
+   */
+  static _log(log, options) {
+    if (log.realm == undefined) {
+      log.realm = TraceAnything._getRealm(log.instance);
+    }
+
+    if (log.callId == undefined) {
+      // This log didn't start a call of its own, so it took no time.
+      TraceAnything._startCall(log, options);
+      log.hrDuration = 0;
+    }
+
+    TraceAnything._redact(log, options, TraceAnything._REDACTED_FIELDS);
+
+    const reason = TraceAnything._getDropReason(log, options);
+    if (reason) {
+      TraceAnything._countDroppedLog(reason, options);
+      return;
+    }
+
+    try {
+      TraceAnything._sendToLogger(log, options);
+    } catch (error) {
+      // A broken logger must not change what the traced call returns or
+      // throws.
+      console.error('TraceAnything: The logger threw', error);
+    }
+  }
+
+  /**
+   * Apply the redaction rules in options.redact to a log.  Fields are replaced
+   * with redacted copies, so the values seen by the app are not modified.
+   *
+   * @param {TraceAnything.Log} log
+   * @param {TraceAnything.Options} options
+   * @param {!Array<string>} fields The fields of the log to redact.  Rules for
+   *   "result" and "threw" also apply to "asyncResult" and "asyncThrew".
+   * @private
+   */
+  static _redact(log, options, fields) {
+    if (!options.redact.length || log.className == undefined) {
+      return;
+    }
+
+    const memberName = log.type == TraceAnything.LogTypes.Constructor ?
+        'constructor' : (log.methodName || log.memberName || log.eventName);
+    const name = `${log.className}.${memberName}`;
+
+    for (const rule of options.redact) {
+      const matches = rule.member instanceof RegExp ?
+          rule.member.test(name) : rule.member == name;
+      if (!matches) {
+        continue;
+      }
+
+      const placeholder = rule.placeholder || '[REDACTED]';
+      const replace = (value) => rule.hash ?
+          `[hash:${TraceAnything._hash(value)}]` : placeholder;
+      // A value which can't be redacted is replaced whole, so that redaction
+      // can neither leak it nor break the traced call.
+      const redactPath = (value, rest) => {
+        try {
+          return TraceAnything._redactPath(value, rest, replace);
+        } catch (error) {
+          return placeholder;
+        }
+      };
+
+      for (const path of rule.paths) {
+        const [field, ...rest] = path.split('.');
+        const logFields = [field];
+        if (field == 'result') {
+          logFields.push('asyncResult');
+        } else if (field == 'threw') {
+          logFields.push('asyncThrew');
+        }
+
+        for (const logField of logFields) {
+          if (!fields.includes(logField) || !(logField in log)) {
+            continue;
+          }
+
+          if (logField == 'args' && !rest.length) {
+            // Loggers expect an array here, so redact each argument instead.
+            log.args = log.args.map((arg) => redactPath(arg, []));
+          } else if (logField == 'result' && log.result &&
+                     typeof log.result.then == 'function') {
+            // The call hasn't settled yet, and a logger could show the value
+            // once it does.  Loggers still expect a Promise here, so log one
+            // for the redacted value instead.
+            const redacted = Promise.resolve(log.result).then(
+                (value) => redactPath(value, rest));
+            // Rejections are logged and redacted as asyncThrew.
+            redacted.catch(() => {});
+            log.result = redacted;
+          } else {
+            log[logField] = redactPath(log[logField], rest);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {?} value
+   * @param {!Array<string>} path The path to the part of the value to redact.
+   *   If empty, the whole value is redacted.
+   * @param {function(?):string} replace Returns the replacement for a value.
+   * @return {?} A copy of the value, with the part at the path replaced, or
+   *   the value itself if the path does not exist.
+   * @private
+   */
+  static _redactPath(value, path, replace) {
+    if (!path.length) {
+      return replace(value);
+    }
+
+    if (value == null || typeof value != 'object' || !(path[0] in value)) {
+      return value;
+    }
+
+    // Copy the value, so the original seen by the app is untouched.  Objects
+    // of other classes become plain objects, since native getters would not
+    // work on a copy.
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.slice();
+    } else {
+      copy = {};
+      for (const k in value) {
+        try {
+          copy[k] = value[k];
+        } catch (error) {
+          // Some native getters throw, depending on the object's state.
+        }
+      }
+    }
+
+    copy[path[0]] =
+        TraceAnything._redactPath(value[path[0]], path.slice(1), replace);
+    return copy;
+  }
+
+  /**
+   * Compute a short, non-cryptographic fingerprint of a value (32-bit FNV-1a),
+   * so that redacted values can still be compared to each other in the logs.
+   *
+   * @param {?} value
+   * @return {string} The hash in hex.
+   * @private
+   */
+  static _hash(value) {
+    let units;
+    if (value instanceof ArrayBuffer) {
+      units = new Uint8Array(value);
+    } else if (ArrayBuffer.isView(value)) {
+      units =
+          new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    } else {
+      // JSON has no undefined, functions, or symbols, so those stringify to
+      // undefined.
+      const text = typeof value == 'string' ? value : String(JSON.stringify(
+          TraceAnything.serializeLog({value}).value));
+      units = [];
+      for (let i = 0; i < text.length; i++) {
+        units.push(text.charCodeAt(i));
+      }
+    }
+
+    let hash = 0x811c9dc5;
+    for (const unit of units) {
+      hash ^= unit;
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   * @param {TraceAnything.Options} options
+   * @return {?string} The reason to drop this log, or null to keep it.
+   * @private
+   */
+  static _getDropReason(log, options) {
+    if (options.filter && !options.filter(log)) {
+      return 'filter';
+    }
+
+    // Warnings are too important to lose to sampling or rate limits.
+    if (log.type == TraceAnything.LogTypes.Warning) {
+      return null;
+    }
+
+    if (options.sampleRate < 1 && Math.random() >= options.sampleRate) {
+      return 'sampling';
+    }
+
+    const name = log.methodName || log.memberName || log.eventName;
+    const limits = options.rateLimits;
+    const key = name == undefined ? undefined :
+        [`${log.className}.${name}`, name].find(
+            (k) => Object.prototype.hasOwnProperty.call(limits, k));
+    if (key != undefined) {
+      const state = TraceAnything._getLogState(options);
+      const now = Date.now();
+      let window = state.rateWindows.get(key);
+      if (!window || now - window.start >= 1000) {
+        window = {start: now, count: 0};
+        state.rateWindows.set(key, window);
+      }
+
+      window.count++;
+      if (window.count > limits[key]) {
+        return 'rate limit';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a dropped log, and make sure a summary will be logged later.
+   *
+   * @param {string} reason
+   * @param {TraceAnything.Options} options
+   * @private
+   */
+  static _countDroppedLog(reason, options) {
+    const state = TraceAnything._getLogState(options);
+    state.dropped.set(reason, (state.dropped.get(reason) || 0) + 1);
+
+    if (state.summaryTimer == null) {
+      state.summaryTimer = setTimeout(() => {
+        state.summaryTimer = null;
+        TraceAnything._logDroppedSummary(options);
+      }, options.droppedLogSummaryInterval);
+
+      // Don't keep nodejs running just to report dropped logs.
+      if (state.summaryTimer.unref) {
+        state.summaryTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * Log a Warning with the number of logs dropped since the last summary.
+   * This bypasses the filter, so that it can't be dropped itself.
+   *
+   * @param {TraceAnything.Options} options
+   * @private
+   */
+  static _logDroppedSummary(options) {
+    const state = TraceAnything._getLogState(options);
+    let total = 0;
+    const counts = [];
+    for (const [reason, count] of state.dropped) {
+      total += count;
+      counts.push(`${count} by ${reason}`);
+    }
+    state.dropped.clear();
+
+    const log = {
+      timestamp: Date.now(),
+      duration: 0,
+      type: TraceAnything.LogTypes.Warning,
+      message: `Dropped ${total} logs (${counts.join(', ')})`,
+      droppedLogs: total,
+      realm: TraceAnything._realm,
+    };
+    TraceAnything._startCall(log, options);
+    log.hrDuration = 0;
+    TraceAnything._sendToLogger(log, options);
+  }
+
+  /**
+   * @param {TraceAnything.Options} options
+   * @return {{rateWindows: !Map<string, {start: number, count: number}>,
+   *           dropped: !Map<string, number>, summaryTimer: ?}}
+   *   The filtering state for logs traced with these options.
+   * @private
+   */
+  static _getLogState(options) {
+    let state = TraceAnything._logStates.get(options);
+    if (!state) {
+      state = {rateWindows: new Map(), dropped: new Map(), summaryTimer: null};
+      TraceAnything._logStates.set(options, state);
+    }
+    return state;
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   * @param {TraceAnything.Options} options
+   * @private
+   */
+  static _sendToLogger(log, options) {
+    if (typeof options.logger == 'function') {
+      options.logger(log);
+    } else {
+      options.logger.log(log);
+    }
+  }
+
+  /**
+   * Assign a new call ID and start time to a log, and correlate it with the
+   * current call, if any.
+   *
+   * @param {TraceAnything.Log} log
+   * @param {TraceAnything.Options} options
+   * @private
+   */
+  static _startCall(log, options) {
+    const parent = TraceAnything._currentCall();
+    log.callId = TraceAnything._nextCallId++;
+    log.parentCallId = parent ? parent.callId : null;
+    log.depth = parent ? parent.depth + 1 : 0;
+    log.startTime = options.clock();
+
+    if (options.captureStack &&
+        TraceAnything._STACK_LOG_TYPES.includes(log.type)) {
+      TraceAnything._captureStack(log, options);
+    }
+  }
+
+  /**
+   * Attach the stack of the app's call site to a log, without the frames of
+   * TraceAnything itself.  See TraceAnything.Options.captureStack.
+   *
+   * @param {TraceAnything.Log} log
+   * @param {TraceAnything.Options} options
+   * @private
+   */
+  static _captureStack(log, options) {
+    if (typeof options.captureStack == 'function' &&
+        !options.captureStack(log)) {
+      return;
+    }
+
+    // Leave room in V8's limit for our own frames, without walking the whole
+    // stack.
+    const stackTraceLimit = Error.stackTraceLimit;
+    Error.stackTraceLimit =
+        TraceAnything._MAX_STACK_FRAMES + TraceAnything._MAX_OWN_FRAMES;
+    const stack = String(new Error().stack);
+    Error.stackTraceLimit = stackTraceLimit;
+
+    // V8 starts the stack with the error itself.
+    const frames = stack.split('\n').map((frame) => frame.trim())
+        .filter((frame, i) => frame != '' &&
+            !(i == 0 && frame.startsWith('Error')));
+
+    // The stack starts with our own methods, then the shim the app called.
+    // These are found by name rather than by script, since TraceAnything may
+    // be bundled into the same script as the app.
+    let start = 0;
+    while (start < frames.length &&
+           TraceAnything._OWN_METHOD_NAMES.has(
+               TraceAnything._getFrameFunction(frames[start]))) {
+      start++;
+    }
+    start++;
+
+    log.stack = frames.slice(start, start + TraceAnything._MAX_STACK_FRAMES)
+        .join('\n');
+  }
+
+  /**
+   * @param {string} frame A frame of a stack trace.
+   * @return {string} The name of the function in the frame, without any class
+   *   or object name, or an empty string.
+   * @private
+   */
+  static _getFrameFunction(frame) {
+    // V8 writes "at Class.name (script:1:2)", and other engines write
+    // "name@script:1:2".
+    const match = /^(?:at\s+)?(?:new\s+)?([^\s(@]*)/.exec(frame.trim());
+    return match[1].split('.').pop();
+  }
+
+  /**
+   * Fill in the durations of a log when the call is done.
+   *
+   * @param {TraceAnything.Log} log
+   * @param {TraceAnything.Options} options
+   * @private
+   */
+  static _endCall(log, options) {
+    log.duration = Date.now() - log.timestamp;
+    log.hrDuration = options.clock() - log.startTime;
+  }
+
+  /**
+   * Run a callback in the context of a call, so that any logs it generates
+   * will be correlated with the call.
+   *
+   * @param {TraceAnything.Log} log The log for the call.
+   * @param {function():T} callback
+   * @return {T}
+   * @template T
+   * @private
+   */
+  static _runInCall(log, callback) {
+    if (TraceAnything._asyncLocalStorage) {
+      return TraceAnything._asyncLocalStorage.run(log, callback);
+    }
+
+    TraceAnything._callStack.push(log);
+    try {
+      return callback();
+    } finally {
+      TraceAnything._callStack.pop();
+    }
+  }
+
+  /**
+   * @return {?TraceAnything.Log} The log for the current call, if any.
+   * @private
+   */
+  static _currentCall() {
+    if (TraceAnything._asyncLocalStorage) {
+      return TraceAnything._asyncLocalStorage.getStore() || null;
+    }
+
+    const stack = TraceAnything._callStack;
+    return stack.length ? stack[stack.length - 1] : null;
+  }
+
+  /**
+   * Summarize a value from a log in a form that can be converted to JSON.
+   *
+   * @param {?} value
+   * @return {?} The value itself for primitives, the instance ID for traced
+   *   objects, or else a short description of the value.
+   * @private
+   */
+  static _summarize(value) {
+    if (value == null || typeof value == 'boolean' ||
+        typeof value == 'number' || typeof value == 'string') {
+      return value;
+    }
+
+    if (typeof value == 'function') {
+      return `function ${value.name}`;
+    }
+
+    if (typeof value != 'object') {
+      // A symbol or bigint.
+      return String(value);
+    }
+
+    const id = TraceAnything._generatedIds.get(TraceAnything._unwrap(value));
+    if (id != null) {
+      return id;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    const ctor = prototype && prototype.constructor;
+    return `[object ${ctor ? ctor.name : 'Object'}]`;
+  }
+
+  /**
+   * @param {TraceAnything.Log} log A log of any type but Warning.
+   * @return {string} A description of what was traced, such as "new Foo",
+   *   "Foo.bar", or "Foo load event".
+   * @private
+   */
+  static _describeMember(log) {
+    const LogTypes = TraceAnything.LogTypes;
+    switch (log.type) {
+      case LogTypes.Constructor:
+        return `new ${log.className}`;
+      case LogTypes.Method:
+        return log.methodName == undefined ?
+            log.className : `${log.className}.${log.methodName}`;
+      case LogTypes.Has:
+        return `"${log.memberName}" in ${log.className}`;
+      case LogTypes.Delete:
+        return `delete ${log.className}.${log.memberName}`;
+      case LogTypes.Event:
+        return `${log.className} ${log.eventName} event`;
+      default:
+        return `${log.className}.${log.memberName}`;
+    }
+  }
+
+  /**
+   * Serialize a value from a log.  See serializeLog().
+   *
+   * @param {?} value
+   * @param {TraceAnything.SerializeOptions} options
+   * @param {number} depth How many more levels of objects to serialize.
+   * @param {!Set<!Object>} ancestors The objects currently being serialized,
+   *   to detect cycles.
+   * @return {?}
+   * @private
+   */
+  static _serialize(value, options, depth, ancestors) {
+    if (typeof value == 'string') {
+      if (value.length > options.maxStringLength) {
+        const more = value.length - options.maxStringLength;
+        return value.substr(0, options.maxStringLength) + `... (${more} more)`;
+      }
+      return value;
+    }
+
+    if (typeof value == 'number') {
+      return Number.isFinite(value) ? value : String(value);
+    }
+
+    if (typeof value == 'bigint') {
+      return `${value}n`;
+    }
+
+    if (value == null || typeof value != 'object') {
+      // undefined, null, boolean, symbol, or function.
+      return TraceAnything._summarize(value);
+    }
+
+    const instanceId = TraceAnything._getTracedId(value, options.idProperty);
+    if (instanceId != null) {
+      return instanceId;
+    }
+
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      const bytes = value instanceof ArrayBuffer ? new Uint8Array(value) :
+          new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+      const summary = {
+        type: value.constructor.name,
+        byteLength: bytes.byteLength,
+      };
+      const limited = bytes.subarray(0, options.maxBytes);
+      if (options.binaryEncoding == 'base64') {
+        summary.base64 = TraceAnything._toBase64(limited);
+      } else {
+        summary.hex = TraceAnything._toHex(limited);
+      }
+      if (limited.byteLength < bytes.byteLength) {
+        summary.truncated = true;
+      }
+      return summary;
+    }
+
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    }
+
+    if (value instanceof Error) {
+      return {
+        type: value.constructor.name,
+        name: value.name,
+        message: value.message,
+      };
+    }
+
+    if (TraceAnything._isNode(value)) {
+      return TraceAnything._describeNode(value);
+    }
+
+    if (ancestors.has(value)) {
+      return '[Circular]';
+    }
+
+    if (depth <= 0) {
+      return TraceAnything._summarize(value);
+    }
+
+    ancestors.add(value);
+    const serialize = (item) =>
+      TraceAnything._serialize(item, options, depth - 1, ancestors);
+
+    // Serialize at most maxLength items, and note how many were left out.
+    const serializeItems = (items, size, serializeItem) => {
+      const output = [];
+      for (const item of items) {
+        if (output.length >= options.maxLength) {
+          output.push(`... (${size - output.length} more)`);
+          break;
+        }
+        output.push(serializeItem(item));
+      }
+      return output;
+    };
+
+    try {
+      if (Array.isArray(value)) {
+        return serializeItems(value, value.length, serialize);
+      }
+
+      // This covers Map and map-like objects, such as MediaKeyStatusMap.
+      if (value instanceof Map || (typeof value.entries == 'function' &&
+          typeof value.get == 'function' && 'size' in value)) {
+        return {
+          type: value.constructor.name,
+          size: value.size,
+          entries: serializeItems(value.entries(), value.size,
+              ([k, v]) => [serialize(k), serialize(v)]),
+        };
+      }
+
+      if (value instanceof Set) {
+        return {
+          type: value.constructor.name,
+          size: value.size,
+          values: serializeItems(value, value.size, serialize),
+        };
+      }
+
+      const isEvent = typeof Event == 'function' && value instanceof Event;
+      const fields = {};
+      if (isEvent) {
+        fields.type = value.constructor.name;
+        fields.eventType = value.type;
+        fields.target = serialize(value.target);
+      }
+
+      let count = 0;
+      for (const k in value) {
+        // Skip our own markers, and the generic fields of Events, which are
+        // rarely interesting.
+        if (TraceAnything._isMarker(k) || (isEvent && k in Event.prototype)) {
+          continue;
+        }
+
+        let field;
+        try {
+          field = value[k];
+        } catch (error) {
+          // Some native getters throw, depending on the object's state.
+          continue;
+        }
+        if (typeof field == 'function') {
+          continue;
+        }
+
+        if (count >= options.maxLength) {
+          fields['...'] = 'more fields omitted';
+          break;
+        }
+        fields[k] = serialize(field);
+        count++;
+      }
+      return fields;
+    } finally {
+      ancestors.delete(value);
+    }
+  }
+
+  /**
+   * @param {!Object} value
+   * @return {boolean} True if the value is a DOM node.
+   * @private
+   */
+  static _isNode(value) {
+    if (typeof Node == 'function') {
+      return value instanceof Node;
+    }
+    return typeof value.nodeType == 'number' &&
+        typeof value.nodeName == 'string';
+  }
+
+  /**
+   * @param {!Node} node
+   * @return {string} A short description of the node, such as
+   *   "<video id=foo class=bar>".
+   * @private
+   */
+  static _describeNode(node) {
+    if (!node.tagName) {
+      return node.nodeName;
+    }
+
+    let description = '<' + node.tagName.toLowerCase();
+    if (node.id) {
+      description += ` id=${node.id}`;
+    }
+    if (node.className && typeof node.className == 'string') {
+      description += ` class=${node.className}`;
+    }
+    return description + '>';
+  }
+
+  /**
+   * @param {!Object} value
+   * @param {?string} idProperty
+   * @return {?string} The instance ID of a traced object, or null for objects
+   *   which are not traced.
+   * @private
+   */
+  static _getTracedId(value, idProperty) {
+    const object = TraceAnything._unwrap(value);
+    // Instances traced through tracePrototype() or traceMember() have no
+    // marker, but they do have a generated ID once they have been logged.
+    if (!object.__TraceAnything__ && !TraceAnything._proxies.has(object) &&
+        !TraceAnything._generatedIds.has(object)) {
+      return null;
+    }
+
+    if (idProperty && idProperty in object) {
+      return object[idProperty];
+    }
+    const id = TraceAnything._generatedIds.get(object);
+    return id == null ? null : id;
+  }
+
+  /**
+   * @param {!Uint8Array} bytes
+   * @return {string} The bytes in hex.
+   * @private
+   */
+  static _toHex(bytes) {
+    let hex = '';
+    for (const byte of bytes) {
+      hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+  }
+
+  /**
+   * @param {!Uint8Array} bytes
+   * @return {string} The bytes in base64.
+   * @private
+   */
+  static _toBase64(bytes) {
+    if (typeof Buffer == 'function') {
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+          .toString('base64');
+    }
+
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * @param {string} text Bytes in base64.
+   * @return {!Uint8Array}
+   * @private
+   */
+  static _fromBase64(text) {
+    if (typeof Buffer == 'function') {
+      // Copy into a new Uint8Array, which doesn't share a buffer with others.
+      return new Uint8Array(Buffer.from(text, 'base64'));
+    }
+
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Write out a string to a file (nodejs only) or to a callback.
+   *
+   * @param {string} text
+   * @param {(string|function(string))} destination A filename or callback.
+   * @private
+   */
+  static _writeOut(text, destination) {
+    if (typeof destination == 'function') {
+      destination(text);
+    } else {
+      TraceAnything._require('fs').writeFileSync(destination, text);
+    }
+  }
+
+  /**
+   * Load a nodejs module.  Bundlers try to resolve every call to require()
+   * for the browser, and fail on built-in modules, so this avoids calling it
+   * directly.
+   *
+   * @param {string} name The module name, as it would be passed to require().
+   * @return {?} The exports of the module.
+   * @private
+   */
+  static _require(name) {
+    const process = globalThis.process;
+    const builtin = process && typeof process.getBuiltinModule == 'function' ?
+        process.getBuiltinModule(name) : undefined;
+    if (builtin) {
+      return builtin;
+    }
+
+    if (typeof module != 'object' || !module ||
+        typeof module.constructor.prototype.require != 'function') {
+      throw new Error(`Unable to load ${name} outside of nodejs!`);
+    }
+    // This is the same as module.require(), which bundlers also resolve.
+    return module.constructor.prototype.require.call(module, name);
+  }
+
+  /**
+   * Extract a single property value from an object by name.
+   *
+   * @param {!Object} object The object from which to extract the value.
+   * @param {string} name The name of the property.  If the property is a
+   *   method, the method will be called to get the value.
+   * @return {?} The extracted value, which could be anything.
+   * @private
+   */
+  static _extractProperty(object, name) {
+    const value = object[name];
+
+    // If the property is a method, call it now.
+    if (value instanceof Function) {
+      return value.call(object);
+    } else {
+      return value;
+    }
+  }
+
+  /**
+   * Remember the current state of a member before it is shimmed, so that the
+   * handle can put it back later.
    *
    * @param {!Object} traced The traced object.
-   * @param {function} listener The event listener.
-   * @param {string} k The member name.
+   * @param {!Object} object The original object.
+   * @param {(string|symbol)} k The member name.
+   * @param {!TraceAnything.Handle} handle The handle through which this member
+   *   can be restored.
+   * @param {?function():?} getValue If the shim stores the value of a data
+   *   property, a callback to get the latest value, which should survive the
+   *   restoration.
+   * @private
+   */
+  static _saveMember(traced, object, k, handle, getValue) {
+    const savedDescriptor = Object.getOwnPropertyDescriptor(traced, k);
+
+    handle._addUndoStep(() => {
+      let descriptor = savedDescriptor;
+
+      if (traced != object) {
+        // The app may still be holding the wrapper in place of the original.
+        // Rather than leave a hole in it, delegate silently from now on, the
+        // same way _shimPropertySilent() would have.
+        descriptor = Object.assign(
+            {}, TraceAnything._getDescriptor(object, k), {configurable: true});
+      }
+
+      if (descriptor) {
+        if (getValue && 'value' in descriptor) {
+          descriptor.value = getValue();
+        }
+        Object.defineProperty(traced, k, descriptor);
+      } else {
+        // The member was inherited, so removing the shim uncovers it again.
+        delete traced[k];
+      }
+    });
+  }
+
+  /**
+   * Find a property descriptor for a particular property of an object.  This
+   * allows access to getters and setters.
+   *
+   * @param {!Object} object The object for which we want to find a property
+   *   descriptor.
+   * @param {(string|symbol)} k The name of the property.
+   * @return {Object} The property descriptor, or null if one cannot be found.
+   * @private
+   */
+  static _getDescriptor(object, k) {
+    while (object) {
+      const descriptor = Object.getOwnPropertyDescriptor(object, k);
+      if (descriptor) {
+        return descriptor;
+      }
+
+      // Walk the prototype chain and keep looking.
+      object = Object.getPrototypeOf(object);
+    }
+    return null;
+  }
+
+  /**
+   * @param {?} value Any value.
+   * @return {?} The original object if the value is a proxy we created, or
+   *   else the value itself.
+   * @private
+   */
+  static _unwrap(value) {
+    return TraceAnything._proxyTargets.get(value) || value;
+  }
+
+  /**
+   * @param {(string|symbol)} k A member name.
+   * @return {boolean} True if this is one of our own markers, such as
+   *   __TraceAnything__, which should never be traced.
+   * @private
+   */
+  static _isMarker(k) {
+    return typeof k == 'string' && k.startsWith('__TraceAnything');
+  }
+
+  /**
+   * @param {!Object} traced The traced object.
    * @param {string} className The class name.
-   * @param {string} eventName The event name.
    * @param {TraceAnything.Options} options
-   * @return {function} A shim for the event listener which logs events.
-   * @private
+   * @return {string} The existing or newly-auto-generated ID for the object.
+   * @private
+   */
+  static _getId(traced, className, options) {
+    // If this is a proxy, look at the original object instead, so that our own
+    // accesses don't show up in the logs.
+    traced = TraceAnything._unwrap(traced);
+
+    if (options.idProperty && options.idProperty in traced) {
+      return traced[options.idProperty];
+    }
+
+    // Generated IDs are kept aside, so that even frozen objects can have one.
+    let id = TraceAnything._generatedIds.get(traced);
+    if (id == null) {
+      const n = TraceAnything._nextGeneratedId.get(className) || 1;
+      TraceAnything._nextGeneratedId.set(className, n + 1);
+      id = className + '_' + n;
+      TraceAnything._generatedIds.set(traced, id);
+    }
+    return id;
+  }
+}
+
+/**
+ * Log type constants sent through the logger.
+ *
+ * @enum {string}
+ */
+TraceAnything.LogTypes = {
+  Constructor: 'Constructor',
+  Method: 'Method',
+  Getter: 'Getter',
+  Setter: 'Setter',
+  Event: 'Event',
+  Warning: 'Warning',
+  Has: 'Has',
+  Delete: 'Delete',
+};
+
+/**
+ * Ways to discover the members of an object.  See
+ * TraceAnything.Options.discovery.
+ *
+ * @enum {string}
+ */
+TraceAnything.Discovery = {
+  Enumerable: 'enumerable',
+  PrototypeChain: 'prototypeChain',
+};
+
+/**
+ * Tracing modes.  See TraceAnything.Options.mode.
+ *
+ * @enum {string}
+ */
+TraceAnything.Modes = {
+  Shim: 'shim',
+  Proxy: 'proxy',
+};
+
+/**
+ * @typedef {{
+ *   timestamp: Number,
+ *   duration: Number,
+ *   type: TraceAnything.LogTypes,
+ *   callId: number,
+ *   parentCallId: ?number,
+ *   depth: number,
+ *   startTime: number,
+ *   hrDuration: number,
+ *   instance: (!Object|undefined),
+ *   instanceId: (string|undefined),
+ *   message: (string|undefined),
+ *   className: (string|undefined),
+ *   methodName: (string|undefined),
+ *   memberName: (string|undefined),
+ *   eventName: (string|undefined),
+ *   args: (!Array<?>|undefined),
+ *   threw: (?|undefined),
+ *   result: (?|undefined),
+ *   value: (?|undefined),
+ *   async: (boolean|undefined),
+ *   asyncDuration: (number|undefined),
+ *   asyncResult: (?|undefined),
+ *   asyncThrew: (?|undefined),
+ *   droppedLogs: (number|undefined),
+ *   callbackOf: (number|undefined),
+ *   iteratorOf: (number|undefined),
+ *   stack: (string|undefined),
+ *   realm: string,
+ *   listeners: (!Array<(function(?)|!Object)>|undefined)
+ * }}
+ * @property {Number} timestamp
+ *   A timestamp of when the call was made, in milliseconds since 1970, UTC.
+ *   Suitable for use in the Date constructor in JavaScript.
+ * @property {Number} duration
+ *   The duration of this call in milliseconds.  This is particularly useful
+ *   information for async methods.  The value may be 0 for some types, such as
+ *   events or warnings.
+ * @property {TraceAnything.LogTypes} type
+ *   The type of log.
+ * @property {number} callId
+ *   A unique ID for this log.
+ * @property {?number} parentCallId
+ *   The callId of the traced call (or event) that was running when this one
+ *   started, or null if there was none.  In nodejs, this is tracked across
+ *   await and Promise continuations.  In browsers, this is only tracked
+ *   synchronously, and through the results of traced async methods.
+ * @property {number} depth
+ *   How deeply nested this log is in other traced calls.  0 if parentCallId is
+ *   null.
+ * @property {number} startTime
+ *   A high-resolution, monotonic timestamp of when the call was made, in
+ *   milliseconds from an arbitrary starting point.  Only comparable to others
+ *   from the same clock.  See TraceAnything.Options.clock.
+ * @property {number} hrDuration
+ *   The duration of this call in milliseconds, from the same clock as
+ *   startTime.  Unlike duration, this has sub-millisecond precision, and is
+ *   unaffected by changes to the system clock.
+ * @property {(!Object|undefined)} instance
+ *   The instance on which this method call / getter / setter / event occurred.
+ * @property {(string|undefined)} instanceId
+ *   The instance ID.  May be auto-generated for some types.
+ *   See TraceAnything.Options.idProperty.  (In "proxy" mode, the instance will
+ *   be the Proxy, but the ID is stored on the original object.)
+ * @property {(string|undefined)} message
+ *   A message for Warning-type logs.
+ * @property {(string|undefined)} className
+ *   A class name for non-Warning-type logs.
+ * @property {(string|undefined)} methodName
+ *   A method name for Method-type logs.  In "proxy" mode, this is undefined
+ *   when a traced function is called directly.
+ * @property {(string|undefined)} memberName
+ *   A member name for Getter-, Setter-, Has-, and Delete-type logs.  Symbols
+ *   are converted to strings.
+ * @property {(string|undefined)} eventName
+ *   An event name for Event-type logs.
+ * @property {(!Array<?>|undefined)} args
+ *   An arguments array for Constructor- and Method-type logs.
+ * @property {(?|undefined)} threw
+ *   What was thrown if the constructor/method/getter/setter threw.
+ * @property {(?|undefined)} result
+ *   What was returned if the constructor/method/getter did not throw.  For
+ *   Has- and Delete-type logs, the result of the "in" or "delete" operator.
+ * @property {(?|undefined)} value
+ *   The value that was set in a setter, or the object property associated with
+ *   an event by its name.  (For example, object.error for an error event, or
+ *   object.keyStatuses for a keystatuseschange event.)
+ * @property {(boolean|undefined)} async
+ *   True for Method-type logs if the method returned a Promise or thenable.
+ * @property {(number|undefined)} asyncDuration
+ *   For async Method-type logs, the time in milliseconds from the call until
+ *   the Promise was resolved or rejected, from the same clock as startTime.
+ *   If logAsyncResultsImmediately is true, the log will be sent before this is
+ *   known, and this field will be filled in later.
+ * @property {(?|undefined)} asyncResult
+ *   For async Method-type logs, what the Promise was resolved with.  Filled in
+ *   later, like asyncDuration.
+ * @property {(?|undefined)} asyncThrew
+ *   For async Method-type logs, what the Promise was rejected with.  Filled in
+ *   later, like asyncDuration.
+ * @property {(number|undefined)} droppedLogs
+ *   For the Warning-type logs which summarize dropped logs, the number of logs
+ *   dropped.  See TraceAnything.Options.filter.
+ * @property {(number|undefined)} callbackOf
+ *   For calls to callbacks, the callId of the call the callback was passed to.
+ *   See TraceAnything.Options.traceCallbackArgs.
+ * @property {(number|undefined)} iteratorOf
+ *   For steps of iterators and streams, the callId of the call which returned
+ *   the iterator or stream.  See TraceAnything.Options.traceIterators.
+ * @property {(string|undefined)} stack
+ *   For Constructor-, Method-, Getter-, and Setter-type logs, the stack of the
+ *   app's call site, one frame per line.  For async methods, this is still the
+ *   stack of the call which started the operation.  See
+ *   TraceAnything.Options.captureStack.
+ * @property {string} realm
+ *   Where the log comes from: "main", a frame traced through
+ *   TraceAnything.traceFrames(), such as "frame:player", or a Worker, such as
+ *   "worker:decoder".  Frames and Workers are named after the frame's id or
+ *   name, or the Worker's name, when they have one.
+ * @property {(!Array<(function(?)|!Object)>|undefined)} listeners
+ *   For Event-type logs, the app's listeners on the instance which this event
+ *   was delivered to, including any event handler property, in the order they
+ *   were called.  Listeners are added as the event reaches them, so the list
+ *   is complete once the event has been dispatched.
+ */
+TraceAnything.Log;
+
+/**
+ * The default logger for TraceAnything.  Everything will be logged to the
+ * JavaScript console, and in a rich format where objects can be interrogated
+ * further.
+ *
+ * @param {TraceAnything.Log} log
+ */
+TraceAnything.defaultLogger = (log) => {
+  // NOTE: We are not combining everything into a single string in the default
+  // logger, because the JS console is actually capable of printing complex
+  // values like objects and arrays.
+  let logPrefix = `TraceAnything: (ID ${log.instanceId}) `;
+
+  if (log.type == TraceAnything.LogTypes.Warning) {
+    console.warn(logPrefix + log.message);
+    return;
+  }
+
+  logPrefix += TraceAnything._describeMember(log);
+
+  if (log.type == TraceAnything.LogTypes.Constructor ||
+      log.type == TraceAnything.LogTypes.Method) {
+    // For console logging, put a comma between the arguments.
+    // NOTE: Since we want to print potentially complex objects in the args
+    // array, we don't use join, which results in a single string.
+    const argsWithCommas = log.args.reduce((r, a) => r.concat(a, ','), []);
+    // Remove a trailing comma from the end of the array.
+    argsWithCommas.pop();
+
+    if (log.threw) {
+      console.error(`${logPrefix}(`, ...argsWithCommas, ') threw', log.threw);
+    } else {
+      console.debug(`${logPrefix}(`, ...argsWithCommas, ') =>', log.result);
+    }
+  } else if (log.type == TraceAnything.LogTypes.Getter ||
+             log.type == TraceAnything.LogTypes.Has ||
+             log.type == TraceAnything.LogTypes.Delete) {
+    if (log.threw) {
+      console.error(`${logPrefix} threw`, log.threw);
+    } else {
+      console.debug(`${logPrefix} =>`, log.result);
+    }
+  } else if (log.type == TraceAnything.LogTypes.Setter) {
+    if (log.threw) {
+      console.error(`${logPrefix} =`, log.value, 'threw', log.threw);
+    } else {
+      console.debug(`${logPrefix} =`, log.value);
+    }
+  } else if (log.type == TraceAnything.LogTypes.Event) {
+    if ('value' in log) {
+      console.debug(logPrefix, log.event, '=>', log.value);
+    } else {
+      console.debug(logPrefix, log.event);
+    }
+  }
+
+  if (log.stack) {
+    console.groupCollapsed('Call stack');
+    console.debug(log.stack);
+    console.groupEnd();
+  }
+};
+
+/**
+ * Create a logger which prints each log as a single line of plain text, which
+ * is better suited than TraceAnything.defaultLogger to files, terminals, and
+ * CI logs.  Values are rendered compactly as JSON, using
+ * TraceAnything.serializeLog(), so the output is stable and easy to diff.
+ *
+ * Set TraceAnything.Options.logAsyncResultsImmediately to false with this
+ * logger, so that the results of async methods are printed, rather than
+ * Promises.
+ *
+ * @param {TraceAnything.TextLoggerConfig=} config
+ * @return {function(TraceAnything.Log)}
+ */
+TraceAnything.createTextLogger = (config) => {
+  config = Object.assign({
+    format: '{timestamp} {instanceId} {summary} ({duration} ms)',
+    sink: (line) => console.log(line),
+    colors: false,
+  }, config);
+
+  const serializeOptions = Object.assign({
+    maxDepth: 2,
+    maxLength: 10,
+    maxStringLength: 100,
+    maxBytes: 16,
+  }, config.serializeOptions);
+
+  const color = (code, text) =>
+    config.colors ? `\x1b[${code}m${text}\x1b[0m` : text;
+
+  const render = (value) => {
+    if (value instanceof Error) {
+      return `${value.name}: ${value.message}`;
+    }
+    const {rendered} = TraceAnything.serializeLog(
+        {rendered: value}, serializeOptions);
+    const json = JSON.stringify(rendered);
+    return json === undefined ? 'undefined' : json;
+  };
+
+  const sink = typeof config.sink == 'function' ?
+      config.sink : (line) => config.sink.write(line + '\n');
+
+  return (log) => {
+    const LogTypes = TraceAnything.LogTypes;
+    const duration = typeof log.hrDuration == 'number' ?
+        log.hrDuration : (log.duration || 0);
+
+    const fields = {
+      timestamp: new Date(log.timestamp).toISOString(),
+      type: log.type,
+      instanceId: log.instanceId == undefined ? '-' : String(log.instanceId),
+      member: '',
+      args: '',
+      result: 'result' in log ? render(log.result) : '',
+      value: 'value' in log ? render(log.value) : '',
+      event: 'event' in log ? render(log.event) : '',
+      threw: 'threw' in log ? color(31, render(log.threw)) : '',
+      duration: color(2, duration.toFixed(3)),
+      message: log.message || '',
+      summary: '',
+    };
+
+    if (log.type == LogTypes.Warning) {
+      fields.summary = color(33, `Warning: ${fields.message}`);
+    } else {
+      fields.member = color(36, TraceAnything._describeMember(log));
+      let summary = fields.member;
+
+      if (log.type == LogTypes.Constructor || log.type == LogTypes.Method) {
+        fields.args = `(${log.args.map(render).join(', ')})`;
+        summary += fields.args;
+      } else if (log.type == LogTypes.Setter) {
+        summary += ` = ${fields.value}`;
+      } else if (log.type == LogTypes.Event) {
+        summary += ` ${fields.event}`;
+        if ('value' in log) {
+          summary += ` => ${fields.value}`;
+        }
+      }
+
+      if ('threw' in log) {
+        summary += ` threw ${fields.threw}`;
+      } else if ('result' in log) {
+        summary += ` => ${fields.result}`;
+      }
+      fields.summary = summary;
+    }
+
+    const line = typeof config.format == 'function' ?
+        config.format(fields, log) :
+        config.format.replace(/\{(\w+)\}/g,
+            (match, name) => name in fields ? fields[name] : match);
+    sink(line);
+  };
+};
+
+/**
+ * @typedef {{
+ *   format: (string|function(!Object<string, string>, TraceAnything.Log):
+ *       string|undefined),
+ *   sink: (function(string)|{write: function(string)}|undefined),
+ *   colors: (boolean|undefined),
+ *   serializeOptions: (TraceAnything.SerializeOptions|undefined)
+ * }}
+ * @property {(string|function(!Object<string, string>, TraceAnything.Log):
+ *     string|undefined)} format
+ *   A template for each line, in which these placeholders are replaced:
+ *   {timestamp} (ISO 8601), {type}, {instanceId}, {member} (such as
+ *   "Foo.bar"), {args}, {result}, {value}, {event}, {threw}, {duration} (in
+ *   milliseconds), {message} (for warnings), and {summary} (the member with
+ *   its args, value, result, or what it threw).  Placeholders without a value
+ *   for a log are replaced by an empty string.  Alternately, a function which
+ *   receives the same fields and the log, and returns a line.
+ *   By default, "{timestamp} {instanceId} {summary} ({duration} ms)".
+ * @property {(function(string)|{write: function(string)}|undefined)} sink
+ *   A callback which receives each line, or a stream with a write() method,
+ *   such as process.stdout or a file stream in nodejs, which receives each line
+ *   with a trailing newline.
+ *   By default, console.log.
+ * @property {(boolean|undefined)} colors
+ *   If true, use ANSI colors in the output, for terminals.
+ *   By default, false.
+ * @property {(TraceAnything.SerializeOptions|undefined)} serializeOptions
+ *   Limits on how values are rendered.  By default, shallower and shorter than
+ *   TraceAnything.defaultSerializeOptions.
+ */
+TraceAnything.TextLoggerConfig;
+
+/**
+ * A logger which collects logs and exports them in the Trace Event Format,
+ * which can be loaded into chrome://tracing or Perfetto to see them on a
+ * timeline.  Pass an instance as TraceAnything.Options.logger.
+ *
+ * Times come from TraceAnything.Log.startTime and hrDuration, so they are
+ * precise, but not tied to the time of day.  Each instance ID gets its own
+ * track.  Constructors, methods, and getters
+ * appear as slices, while events, setters, and other logs appear as instants.
+ * Async methods also appear as async slices lasting until their Promise was
+ * resolved or rejected.
+ *
+ * See https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ */
+TraceAnything.ChromeTraceLogger = class {
+  constructor() {
+    /**
+     * Trace events so far.
+     *
+     * @private {!Array<!Object>}
+     */
+    this._events = [];
+
+    /**
+     * Logs for async methods whose Promise may not be settled yet.  These can
+     * only be logged when their asyncDuration is filled in.
+     *
+     * @private {!Array<TraceAnything.Log>}
+     */
+    this._pendingLogs = [];
+
+    /**
+     * A map of instance IDs to track (thread) IDs.
+     *
+     * @private {!Map<string, number>}
+     */
+    this._trackIds = new Map();
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   */
+  log(log) {
+    const LogTypes = TraceAnything.LogTypes;
+    const event = {
+      name: TraceAnything.ChromeTraceLogger._getName(log),
+      cat: log.type,
+      pid: 1,
+      tid: this._getTrackId(log.instanceId),
+      ts: log.startTime * 1000,
+      args: TraceAnything.ChromeTraceLogger._getArgs(log),
+    };
+
+    if (log.async && !(log.result && log.result.then)) {
+      // This was logged after the Promise was settled, so the duration covers
+      // the whole call.
+      this._events.push(...TraceAnything.ChromeTraceLogger._getAsyncEvents(
+          log, event));
+      return;
+    }
+
+    if (log.type == LogTypes.Constructor || log.type == LogTypes.Method ||
+        log.type == LogTypes.Getter) {
+      this._events.push(Object.assign(event, {
+        ph: 'X',
+        dur: log.hrDuration * 1000,
+      }));
+    } else {
+      this._events.push(Object.assign(event, {
+        ph: 'i',
+        // Warnings aren't associated with any instance, so they are shown
+        // across all tracks.
+        s: log.type == LogTypes.Warning ? 'g' : 't',
+      }));
+    }
+
+    if (log.async) {
+      // The Promise was logged immediately, so the duration only covers the
+      // synchronous part of the call.  Wait for asyncDuration to export the
+      // rest.
+      this._pendingLogs.push(log);
+    }
+  }
+
+  /**
+   * @return {{traceEvents: !Array<!Object>, displayTimeUnit: string}}
+   *   The trace, in the Trace Event Format, ready to be converted to JSON.
+   *   Async methods whose Promise is still pending will be shown as
+   *   unfinished.
+   */
+  getTrace() {
+    const stillPending = [];
+    const unfinishedEvents = [];
+
+    for (const log of this._pendingLogs) {
+      const event = {
+        name: TraceAnything.ChromeTraceLogger._getName(log),
+        cat: log.type,
+        pid: 1,
+        tid: this._getTrackId(log.instanceId),
+        ts: log.startTime * 1000,
+        args: TraceAnything.ChromeTraceLogger._getArgs(log),
+      };
+      const asyncEvents =
+          TraceAnything.ChromeTraceLogger._getAsyncEvents(log, event);
+
+      if (log.asyncDuration == undefined) {
+        stillPending.push(log);
+        unfinishedEvents.push(asyncEvents[0]);
+      } else {
+        this._events.push(...asyncEvents);
+      }
+    }
+    this._pendingLogs = stillPending;
+
+    return {
+      traceEvents: this._events.concat(unfinishedEvents),
+      displayTimeUnit: 'ms',
+    };
+  }
+
+  /**
+   * Allows the logger to be passed directly to JSON.stringify().
+   *
+   * @return {{traceEvents: !Array<!Object>, displayTimeUnit: string}}
+   */
+  toJSON() {
+    return this.getTrace();
+  }
+
+  /**
+   * Write the trace as JSON.
+   *
+   * @param {(string|function(string))} destination A filename to write to
+   *   (nodejs only), or a callback to receive the JSON.
+   */
+  write(destination) {
+    TraceAnything._writeOut(JSON.stringify(this.getTrace()), destination);
+  }
+
+  /**
+   * Forget all logs collected so far.
+   */
+  clear() {
+    this._events = [];
+    this._pendingLogs = [];
+    this._trackIds.clear();
+  }
+
+  /**
+   * @param {(string|undefined)} instanceId
+   * @return {number} A track ID for this instance.  Logs without an instance
+   *   share track 0.
+   * @private
+   */
+  _getTrackId(instanceId) {
+    if (instanceId == undefined) {
+      return 0;
+    }
+
+    let trackId = this._trackIds.get(instanceId);
+    if (trackId == undefined) {
+      trackId = this._trackIds.size + 1;
+      this._trackIds.set(instanceId, trackId);
+
+      // Name the track after the instance.
+      this._events.push({
+        name: 'thread_name',
+        ph: 'M',
+        pid: 1,
+        tid: trackId,
+        args: {name: String(instanceId)},
+      });
+    }
+    return trackId;
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   * @return {string} A name for the trace event.
+   * @private
+   */
+  static _getName(log) {
+    const LogTypes = TraceAnything.LogTypes;
+    switch (log.type) {
+      case LogTypes.Constructor:
+        return `new ${log.className}`;
+      case LogTypes.Method:
+        return log.methodName == undefined ?
+            log.className : `${log.className}.${log.methodName}`;
+      case LogTypes.Event:
+        return `${log.className} ${log.eventName} event`;
+      case LogTypes.Warning:
+        return log.message;
+      default:
+        return `${log.className}.${log.memberName}`;
+    }
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   * @return {!Object} Arguments for the trace event.
+   * @private
+   */
+  static _getArgs(log) {
+    const args = {callId: log.callId};
+    if (log.parentCallId != null) {
+      args.parentCallId = log.parentCallId;
+    }
+    for (const field of ['args', 'result', 'threw', 'value', 'event']) {
+      if (field in log) {
+        const value = log[field];
+        args[field] = Array.isArray(value) ?
+            value.map((item) => TraceAnything._summarize(item)) :
+            TraceAnything._summarize(value);
+      }
+    }
+    return args;
+  }
+
+  /**
+   * @param {TraceAnything.Log} log An async Method-type log.
+   * @param {!Object} event The common fields of the trace events.
+   * @return {!Array<!Object>} Async begin and end events for the call.  The
+   *   end event is omitted if the Promise is not settled yet.
+   * @private
+   */
+  static _getAsyncEvents(log, event) {
+    const begin = Object.assign({}, event, {ph: 'b', id: log.callId});
+    if (log.asyncDuration == undefined) {
+      return [begin];
+    }
+
+    const end = {
+      name: event.name,
+      cat: event.cat,
+      pid: event.pid,
+      tid: event.tid,
+      ph: 'e',
+      id: log.callId,
+      ts: event.ts + log.asyncDuration * 1000,
+    };
+    return [begin, end];
+  }
+};
+
+/**
+ * A logger which collects constructor and method calls as OpenTelemetry spans,
+ * and exports them as OTLP/JSON.  Events are attached to the span of the call
+ * in which they occurred, or else exported as spans of their own.  Pass an
+ * instance as TraceAnything.Options.logger.
+ *
+ * This has no dependency on OpenTelemetry itself.  The output can be sent to a
+ * collector's OTLP/HTTP endpoint, or saved to a file.
+ *
+ * See https://opentelemetry.io/docs/specs/otlp/#json-protobuf-encoding
+ */
+TraceAnything.OpenTelemetryLogger = class {
+  /**
+   * @param {{serviceName: (string|undefined)}=} config
+   *   serviceName is the "service.name" resource attribute, "trace-anything" by
+   *   default.
+   */
+  constructor(config) {
+    config = config || {};
+
+    /** @private {string} */
+    this._serviceName = config.serviceName || 'trace-anything';
+
+    /**
+     * Spans collected so far, not yet converted to OTLP.
+     *
+     * @private {!Array<!Object>}
+     */
+    this._spans = [];
+
+    /**
+     * Events collected so far, not yet converted to OTLP.
+     *
+     * @private {!Array<!Object>}
+     */
+    this._events = [];
+
+    /**
+     * The parent call ID of every call seen, so that spans and events can be
+     * attached to their nearest ancestor span.
+     *
+     * @private {!Map<number, ?number>}
+     */
+    this._parentCallIds = new Map();
+
+    /**
+     * Random bits to make trace IDs unique across runs.  Call IDs fill the
+     * rest.
+     *
+     * @private {string}
+     */
+    this._traceIdPrefix = '';
+    for (let i = 0; i < 16; i++) {
+      this._traceIdPrefix += Math.floor(Math.random() * 16).toString(16);
+    }
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   */
+  log(log) {
+    const LogTypes = TraceAnything.LogTypes;
+    const Self = TraceAnything.OpenTelemetryLogger;
+    this._parentCallIds.set(log.callId, log.parentCallId);
+
+    if (log.type == LogTypes.Constructor || log.type == LogTypes.Method) {
+      let name = `${log.className}.${log.methodName}`;
+      if (log.type == LogTypes.Constructor) {
+        name = `new ${log.className}`;
+      } else if (log.methodName == undefined) {
+        name = log.className;
+      }
+
+      const attributes = [
+        Self._toAttribute('trace_anything.instance_id', log.instanceId),
+        Self._toAttribute('trace_anything.call_id', log.callId),
+        Self._toAttribute('trace_anything.args', log.args),
+      ];
+      if ('result' in log) {
+        attributes.push(Self._toAttribute('trace_anything.result', log.result));
+      }
+
+      this._spans.push({
+        callId: log.callId,
+        name,
+        timestamp: log.timestamp,
+        // Sub-millisecond durations are much more useful here than the
+        // millisecond-precision duration field.
+        duration: log.hrDuration,
+        attributes,
+        threw: 'threw' in log ? String(log.threw) : null,
+        // If the Promise was logged immediately, keep the log to find out
+        // later how long the call really took.
+        pendingLog: (log.async && log.result && log.result.then) ? log : null,
+      });
+    } else if (log.type == LogTypes.Event) {
+      const attributes = [
+        Self._toAttribute('trace_anything.instance_id', log.instanceId),
+        Self._toAttribute('trace_anything.call_id', log.callId),
+        Self._toAttribute('trace_anything.event', log.event),
+      ];
+      if ('value' in log) {
+        attributes.push(Self._toAttribute('trace_anything.value', log.value));
+      }
+
+      this._events.push({
+        callId: log.callId,
+        name: `${log.className} ${log.eventName} event`,
+        timestamp: log.timestamp,
+        attributes,
+      });
+    }
+  }
+
+  /**
+   * @return {!Object} The spans collected so far in OTLP/JSON format, ready to
+   *   be converted to JSON.  Calls to async methods whose Promise is still
+   *   pending are left out.
+   */
+  getTrace() {
+    const Self = TraceAnything.OpenTelemetryLogger;
+    const spanCallIds = new Set(this._spans.map((span) => span.callId));
+
+    // Events which occurred in a traced call become events of that call's
+    // span.  The rest become spans of their own.
+    const otlpSpans = new Map();
+    const standaloneEvents = [];
+    for (const event of this._events) {
+      if (this._findAncestor(event.callId, spanCallIds) == null) {
+        standaloneEvents.push(event);
+      }
+    }
+    for (const event of standaloneEvents) {
+      spanCallIds.add(event.callId);
+    }
+
+    for (const span of this._spans) {
+      let duration = span.duration;
+      if (span.pendingLog) {
+        if (span.pendingLog.asyncDuration == undefined) {
+          continue;
+        }
+        duration = span.pendingLog.asyncDuration;
+        if ('asyncThrew' in span.pendingLog) {
+          span.threw = String(span.pendingLog.asyncThrew);
+        }
+      }
+
+      const otlpSpan = this._toSpan(span.callId, span.name, spanCallIds);
+      otlpSpan.startTimeUnixNano = Self._toNanos(span.timestamp);
+      otlpSpan.endTimeUnixNano = Self._toNanos(span.timestamp + duration);
+      otlpSpan.attributes = span.attributes;
+      otlpSpan.events = [];
+      if (span.threw != null) {
+        otlpSpan.status = {
+          code: 2,  // STATUS_CODE_ERROR
+          message: span.threw,
+        };
+      }
+      otlpSpans.set(span.callId, otlpSpan);
+    }
+
+    for (const event of standaloneEvents) {
+      const otlpSpan = this._toSpan(event.callId, event.name, spanCallIds);
+      otlpSpan.startTimeUnixNano = Self._toNanos(event.timestamp);
+      otlpSpan.endTimeUnixNano = otlpSpan.startTimeUnixNano;
+      otlpSpan.attributes = [];
+      otlpSpan.events = [];
+      otlpSpans.set(event.callId, otlpSpan);
+    }
+
+    for (const event of this._events) {
+      const spanCallId = standaloneEvents.includes(event) ?
+          event.callId : this._findAncestor(event.callId, spanCallIds);
+      const otlpSpan = otlpSpans.get(spanCallId);
+      if (otlpSpan) {
+        otlpSpan.events.push({
+          timeUnixNano: Self._toNanos(event.timestamp),
+          name: event.name,
+          attributes: event.attributes,
+        });
+      }
+    }
+
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: [
+            Self._toAttribute('service.name', this._serviceName),
+          ],
+        },
+        scopeSpans: [{
+          scope: {
+            name: 'trace-anything',
+          },
+          spans: Array.from(otlpSpans.values()),
+        }],
+      }],
+    };
+  }
+
+  /**
+   * Allows the logger to be passed directly to JSON.stringify().
+   *
+   * @return {!Object}
+   */
+  toJSON() {
+    return this.getTrace();
+  }
+
+  /**
+   * Write the spans as OTLP/JSON.
+   *
+   * @param {(string|function(string))} destination A filename to write to
+   *   (nodejs only), or a callback to receive the JSON.
+   */
+  write(destination) {
+    TraceAnything._writeOut(JSON.stringify(this.getTrace()), destination);
+  }
+
+  /**
+   * Forget all logs collected so far.
+   */
+  clear() {
+    this._spans = [];
+    this._events = [];
+    this._parentCallIds.clear();
+  }
+
+  /**
+   * @param {number} callId
+   * @param {!Set<number>} spanCallIds The call IDs which have spans.
+   * @return {?number} The call ID of the nearest ancestor with a span, if any.
+   * @private
+   */
+  _findAncestor(callId, spanCallIds) {
+    let ancestor = this._parentCallIds.get(callId);
+    while (ancestor != null && !spanCallIds.has(ancestor)) {
+      ancestor = this._parentCallIds.get(ancestor);
+    }
+    return ancestor == undefined ? null : ancestor;
+  }
+
+  /**
+   * @param {number} callId
+   * @param {string} name
+   * @param {!Set<number>} spanCallIds The call IDs which have spans.
+   * @return {!Object} An OTLP span with its IDs filled in.
+   * @private
+   */
+  _toSpan(callId, name, spanCallIds) {
+    const Self = TraceAnything.OpenTelemetryLogger;
+    const parentCallId = this._findAncestor(callId, spanCallIds);
+
+    // The whole tree of calls shares the trace ID of its root.
+    let rootCallId = callId;
+    for (let id = parentCallId; id != null;
+         id = this._findAncestor(id, spanCallIds)) {
+      rootCallId = id;
+    }
+
+    const span = {
+      traceId: this._traceIdPrefix + Self._toHex(rootCallId),
+      spanId: Self._toHex(callId),
+      name,
+      kind: 1,  // SPAN_KIND_INTERNAL
+    };
+    if (parentCallId != null) {
+      span.parentSpanId = Self._toHex(parentCallId);
+    }
+    return span;
+  }
+
+  /**
+   * @param {number} id
+   * @return {string} 16 hex digits.
+   * @private
+   */
+  static _toHex(id) {
+    return id.toString(16).padStart(16, '0');
+  }
+
+  /**
+   * @param {number} timestamp In milliseconds since 1970.
+   * @return {string} In nanoseconds since 1970.  OTLP/JSON encodes these as
+   *   strings, since they are too large to be exact in JavaScript.
+   * @private
+   */
+  static _toNanos(timestamp) {
+    return String(Math.round(timestamp * 1e6));
+  }
+
+  /**
+   * @param {string} key
+   * @param {?} value
+   * @return {{key: string, value: !Object}} An OTLP attribute.
+   * @private
+   */
+  static _toAttribute(key, value) {
+    return {key, value: TraceAnything.OpenTelemetryLogger._toAnyValue(value)};
+  }
+
+  /**
+   * @param {?} value
+   * @return {!Object} An OTLP AnyValue.
+   * @private
+   */
+  static _toAnyValue(value) {
+    if (Array.isArray(value)) {
+      return {
+        arrayValue: {
+          values: value.map((item) => TraceAnything.OpenTelemetryLogger
+              ._toAnyValue(TraceAnything._summarize(item))),
+        },
+      };
+    }
+
+    value = TraceAnything._summarize(value);
+    if (typeof value == 'boolean') {
+      return {boolValue: value};
+    } else if (Number.isInteger(value)) {
+      return {intValue: String(value)};
+    } else if (typeof value == 'number') {
+      return {doubleValue: value};
+    } else {
+      return {stringValue: String(value)};
+    }
+  }
+};
+
+/**
+ * A logger which sends each log, serialized with TraceAnything.serializeLog(),
+ * through a MessagePort, to be collected in another realm by
+ * TraceAnything.collectLogs().  Logs are kept until a port is connected.
+ * See also TraceAnything.bootstrapWorker().
+ */
+TraceAnything.ForwardingLogger = class {
+  /**
+   * @param {?{postMessage: function(?)}=} port A MessagePort, or anything
+   *   else with a postMessage method.  May be connected later.
+   * @param {TraceAnything.SerializeOptions=} serializeOptions
+   */
+  constructor(port, serializeOptions) {
+    /** @private {?{postMessage: function(?)}} */
+    this._port = null;
+
+    /** @private {TraceAnything.SerializeOptions} */
+    this._serializeOptions = Object.assign(
+        {}, TraceAnything.defaultSerializeOptions, serializeOptions);
+
+    /**
+     * Messages waiting for a port to be connected.
+     *
+     * @private {!Array<!Object>}
+     */
+    this._pending = [];
+
+    if (port) {
+      this.connect(port);
+    }
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   */
+  log(log) {
+    const message = {
+      __TraceAnything__: 'log',
+      log: TraceAnything.serializeLog(log, this._serializeOptions),
+    };
+
+    if (this._port) {
+      this._port.postMessage(message);
+    } else {
+      this._pending.push(message);
+    }
+  }
+
+  /**
+   * Start sending logs through a port, beginning with those kept so far.
+   *
+   * @param {{postMessage: function(?)}} port
+   */
+  connect(port) {
+    this._port = port;
+    for (const message of this._pending) {
+      port.postMessage(message);
+    }
+    this._pending = [];
+  }
+};
+
+/**
+ * A logger which converts each log to a line of JSON with
+ * TraceAnything.serializeLog().  Pass an instance as
+ * TraceAnything.Options.logger.
+ */
+TraceAnything.JsonLinesLogger = class {
+  /**
+   * @param {function(string)=} output A callback which receives each line as
+   *   it is logged, without a trailing newline.  If omitted, lines are kept
+   *   until they are written out with write().
+   * @param {TraceAnything.SerializeOptions=} serializeOptions
+   */
+  constructor(output, serializeOptions) {
+    /** @private {?function(string)} */
+    this._output = output || null;
+
+    /** @private {TraceAnything.SerializeOptions} */
+    this._serializeOptions = Object.assign(
+        {}, TraceAnything.defaultSerializeOptions, serializeOptions);
+
+    /** @private {!Array<string>} */
+    this._lines = [];
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   */
+  log(log) {
+    const line = JSON.stringify(
+        TraceAnything.serializeLog(log, this._serializeOptions));
+
+    if (this._output) {
+      this._output(line);
+    } else {
+      this._lines.push(line);
+    }
+  }
+
+  /**
+   * @return {!Array<string>} The lines collected so far.
+   */
+  getLines() {
+    return this._lines.slice();
+  }
+
+  /**
+   * @return {string} The lines collected so far, each ending in a newline.
+   */
+  toString() {
+    return this._lines.map((line) => line + '\n').join('');
+  }
+
+  /**
+   * Write the lines collected so far.
+   *
+   * @param {(string|function(string))} destination A filename to write to
+   *   (nodejs only), or a callback to receive the text.
+   */
+  write(destination) {
+    TraceAnything._writeOut(this.toString(), destination);
+  }
+
+  /**
+   * Forget all lines collected so far.
+   */
+  clear() {
+    this._lines = [];
+  }
+};
+
+/**
+ * A logger which keeps the most recent logs in memory, and can search them.
+ * This is useful for tests and debugging tools.  Pass an instance as
+ * TraceAnything.Options.logger.
+ */
+TraceAnything.Recorder = class {
+  /**
+   * @param {{capacity: (number|undefined)}=} config
+   *   capacity is the maximum number of logs kept.  When it is reached, the
+   *   oldest logs are discarded.  By default, 10000.
+   */
+  constructor(config) {
+    config = config || {};
+
+    /** @private {number} */
+    this._capacity = config.capacity || 10000;
+
+    /**
+     * A ring buffer of logs.
+     *
+     * @private {!Array<TraceAnything.Log>}
+     */
+    this._buffer = [];
+
+    /**
+     * The index of the oldest log in the buffer, once it is full.
+     *
+     * @private {number}
+     */
+    this._start = 0;
+
+    /**
+     * The number of logs discarded since the last clear().
+     *
+     * @type {number}
+     */
+    this.discarded = 0;
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   */
+  log(log) {
+    if (this._buffer.length < this._capacity) {
+      this._buffer.push(log);
+    } else {
+      this._buffer[this._start] = log;
+      this._start = (this._start + 1) % this._capacity;
+      this.discarded++;
+    }
+  }
+
+  /**
+   * @return {number} The number of logs kept.
+   */
+  get size() {
+    return this._buffer.length;
+  }
+
+  /**
+   * @return {!Array<TraceAnything.Log>} All logs kept, oldest first.  These
+   *   are the live log objects, so the results of async methods may still be
+   *   filled in later.
+   */
+  getLogs() {
+    return this._buffer.slice(this._start).concat(
+        this._buffer.slice(0, this._start));
+  }
+
+  /**
+   * Find logs which match all of the given criteria.
+   *
+   * @param {TraceAnything.RecorderQuery=} query
+   * @return {!Array<TraceAnything.Log>} Matching logs, oldest first.
+   */
+  query(query) {
+    query = query || {};
+    return this.getLogs().filter((log) => {
+      if (query.instanceId != undefined &&
+          log.instanceId != query.instanceId) {
+        return false;
+      }
+      if (query.className != undefined && log.className != query.className) {
+        return false;
+      }
+      if (query.name != undefined && log.methodName != query.name &&
+          log.memberName != query.name && log.eventName != query.name) {
+        return false;
+      }
+      if (query.type != undefined && log.type != query.type) {
+        return false;
+      }
+      if (query.since != undefined && log.timestamp < query.since) {
+        return false;
+      }
+      if (query.until != undefined && log.timestamp > query.until) {
+        return false;
+      }
+      if (query.threw && !('threw' in log) && !('asyncThrew' in log)) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * @param {string} instanceId
+   * @return {!Array<TraceAnything.Log>} The logs for one instance, in the
+   *   order the calls started.  (Logs are recorded when calls end, so nested
+   *   calls would otherwise come before the calls they were made from.)
+   */
+  getTimeline(instanceId) {
+    return this.query({instanceId}).sort((a, b) =>
+      (a.startTime - b.startTime) || (a.callId - b.callId));
+  }
+
+  /**
+   * @return {!Array<TraceAnything.Log>} Copies of all logs kept, oldest first,
+   *   which will not change when async results are filled in later.
+   */
+  snapshot() {
+    return this.getLogs().map((log) => Object.assign({}, log));
+  }
+
+  /**
+   * Forget all logs recorded so far.
+   */
+  clear() {
+    this._buffer = [];
+    this._start = 0;
+    this.discarded = 0;
+  }
+};
+
+/**
+ * @typedef {{
+ *   instanceId: (string|undefined),
+ *   className: (string|undefined),
+ *   name: (string|undefined),
+ *   type: (TraceAnything.LogTypes|undefined),
+ *   since: (number|undefined),
+ *   until: (number|undefined),
+ *   threw: (boolean|undefined)
+ * }}
+ * @property {(string|undefined)} instanceId
+ *   Only logs for this instance.
+ * @property {(string|undefined)} className
+ *   Only logs for this class.
+ * @property {(string|undefined)} name
+ *   Only logs for this method, property, or event name.
+ * @property {(TraceAnything.LogTypes|undefined)} type
+ *   Only logs of this type.
+ * @property {(number|undefined)} since
+ *   Only logs with a timestamp at or after this time, in milliseconds since
+ *   1970, UTC.
+ * @property {(number|undefined)} until
+ *   Only logs with a timestamp at or before this time, in milliseconds since
+ *   1970, UTC.
+ * @property {(boolean|undefined)} threw
+ *   If true, only logs for calls which threw, or async calls which were
+ *   rejected.
+ */
+TraceAnything.RecorderQuery;
+
+/**
+ * A logger which summarizes where the time goes, instead of keeping each log.
+ * For each member of each class, it counts calls, errors, and events, and
+ * summarizes the durations of calls, in total and for each instance.  Pass an
+ * instance as TraceAnything.Options.logger.  Its memory use grows with the
+ * number of members and instances, but not with the number of calls.
+ *
+ * Sync and async calls are measured separately.  The duration of an async
+ * call is the time until its Promise was resolved or rejected, which may be
+ * filled in after the log was sent.  So these are counted once the Promise
+ * settles.
+ */
+TraceAnything.Profiler = class {
+  constructor() {
+    /**
+     * Stats by member, by instance ID.  Totals for each member are stored
+     * under the empty string.
+     *
+     * @private {!Map<string, !Map<string, !Object>>}
+     */
+    this._stats = new Map();
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   */
+  log(log) {
+    if (log.type == TraceAnything.LogTypes.Warning) {
+      return;
+    }
+
+    const allStats = [''].concat(log.instanceId == undefined ?
+        [] : [String(log.instanceId)]).map((instanceId) => {
+      return this._getStats(instanceId, log);
+    });
+
+    for (const stats of allStats) {
+      stats.count++;
+      if ('threw' in log && !('asyncThrew' in log)) {
+        stats.threw++;
+      }
+    }
+
+    if (log.type == TraceAnything.LogTypes.Event) {
+      return;
+    }
+
+    if (!log.async) {
+      if (!('threw' in log)) {
+        for (const stats of allStats) {
+          TraceAnything.Profiler._addDuration(
+              stats.syncDurations, log.hrDuration);
+        }
+      }
+      return;
+    }
+
+    if (log.asyncDuration != undefined) {
+      // The log was sent after the call was done.
+      TraceAnything.Profiler._countAsyncCall(log, allStats);
+      return;
+    }
+
+    // The duration is filled in by a callback on the same Promise, which may
+    // run after ours, so wait one more step.  Only the Promise keeps the log
+    // alive until then, so calls which never finish aren't kept here.
+    const onSettled = () => Promise.resolve().then(
+        () => TraceAnything.Profiler._countAsyncCall(log, allStats));
+    Promise.resolve(log.result).then(onSettled, onSettled);
+  }
+
+  /**
+   * @return {TraceAnything.ProfileReport} A summary of all calls and events
+   *   seen so far.
+   */
+  getReport() {
+    const entries = (instanceId) => {
+      return Array.from(this._stats.get(instanceId).values()).map((stats) => {
+        return {
+          name: stats.name,
+          className: stats.className,
+          memberName: stats.memberName,
+          type: stats.type,
+          count: stats.count,
+          threw: stats.threw,
+          rejected: stats.rejected,
+          sync: TraceAnything.Profiler._summarize(stats.syncDurations),
+          async: TraceAnything.Profiler._summarize(stats.asyncDurations),
+        };
+      });
+    };
+
+    const report = {members: [], instances: {}};
+    for (const instanceId of this._stats.keys()) {
+      if (instanceId == '') {
+        report.members = entries(instanceId);
+      } else {
+        report.instances[instanceId] = entries(instanceId);
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Print the report with console.table.
+   *
+   * @param {string=} instanceId If given, print only the stats for this
+   *   instance.  Otherwise, print the totals for each member.
+   */
+  printTable(instanceId) {
+    const report = this.getReport();
+    const entries = instanceId == undefined ?
+        report.members : (report.instances[instanceId] || []);
+    console.table(entries.map(
+        (entry) => TraceAnything.Profiler._toRow(entry, instanceId)));
+  }
+
+  /**
+   * @return {string} The report as CSV, with a header row.  The totals for
+   *   each member come first, with an empty instanceId, followed by the stats
+   *   for each instance.
+   */
+  toCsv() {
+    const report = this.getReport();
+    const rows = report.members.map(
+        (entry) => TraceAnything.Profiler._toRow(entry, ''));
+    for (const instanceId in report.instances) {
+      for (const entry of report.instances[instanceId]) {
+        rows.push(TraceAnything.Profiler._toRow(entry, instanceId));
+      }
+    }
+
+    const columns = TraceAnything.Profiler._CSV_COLUMNS;
+    const escape = (value) => {
+      const text = value == null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns].concat(rows.map((row) => columns.map((k) => row[k])))
+        .map((row) => row.map(escape).join(',') + '\n').join('');
+  }
+
+  /**
+   * Write the report as CSV.
+   *
+   * @param {(string|function(string))} destination A filename to write to
+   *   (nodejs only), or a callback to receive the text.
+   */
+  write(destination) {
+    TraceAnything._writeOut(this.toCsv(), destination);
+  }
+
+  /**
+   * Forget all calls and events seen so far.
+   */
+  clear() {
+    this._stats.clear();
+  }
+
+  /**
+   * Get the stats for the member of a log, creating them if needed.
+   *
+   * @param {string} instanceId The instance ID, or the empty string for
+   *   totals.
+   * @param {TraceAnything.Log} log
+   * @return {!Object}
+   * @private
+   */
+  _getStats(instanceId, log) {
+    let statsByMember = this._stats.get(instanceId);
+    if (!statsByMember) {
+      statsByMember = new Map();
+      this._stats.set(instanceId, statsByMember);
+    }
+
+    const LogTypes = TraceAnything.LogTypes;
+    const memberName = log.type == LogTypes.Constructor ? 'constructor' :
+        log.type == LogTypes.Method ? log.methodName :
+        log.type == LogTypes.Event ? log.eventName : log.memberName;
+    const name = memberName == undefined ?
+        log.className : `${log.className}.${memberName}`;
+
+    // A getter and a setter of the same property are counted separately.
+    const key = `${log.type} ${name}`;
+    let stats = statsByMember.get(key);
+    if (!stats) {
+      stats = {
+        name,
+        className: log.className,
+        memberName,
+        type: log.type,
+        count: 0,
+        threw: 0,
+        rejected: 0,
+        syncDurations: TraceAnything.Profiler._newDurations(),
+        asyncDurations: TraceAnything.Profiler._newDurations(),
+      };
+      statsByMember.set(key, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Count the duration or rejection of an async call which is done.
+   *
+   * @param {TraceAnything.Log} log
+   * @param {!Array<!Object>} allStats The stats to count it in.
+   * @private
+   */
+  static _countAsyncCall(log, allStats) {
+    if (log.asyncDuration == undefined) {
+      return;
+    }
+
+    for (const stats of allStats) {
+      if ('asyncThrew' in log) {
+        stats.rejected++;
+      } else {
+        TraceAnything.Profiler._addDuration(
+            stats.asyncDurations, log.asyncDuration);
+      }
+    }
+  }
+
+  /**
+   * @return {!Object} An empty summary of durations, for _addDuration().
+   * @private
+   */
+  static _newDurations() {
+    return {count: 0, total: 0, max: -Infinity, samples: []};
+  }
+
+  /**
+   * Count one duration.  Only a random sample of them is kept, for the
+   * percentiles, so that each has the same chance to be in it.
+   *
+   * @param {!Object} durations From _newDurations().
+   * @param {number} duration
+   * @private
+   */
+  static _addDuration(durations, duration) {
+    durations.count++;
+    durations.total += duration;
+    durations.max = Math.max(durations.max, duration);
+
+    const maxSamples = TraceAnything.Profiler._MAX_SAMPLES;
+    if (durations.samples.length < maxSamples) {
+      durations.samples.push(duration);
+    } else {
+      const i = Math.floor(Math.random() * durations.count);
+      if (i < maxSamples) {
+        durations.samples[i] = duration;
+      }
+    }
+  }
+
+  /**
+   * @param {!Object} durations From _newDurations().
+   * @return {?TraceAnything.ProfileDurations} Null if there are none.
+   * @private
+   */
+  static _summarize(durations) {
+    if (!durations.count) {
+      return null;
+    }
+
+    const sorted = durations.samples.slice().sort((a, b) => a - b);
+    // The nearest-rank percentile.
+    const percentile = (p) =>
+      sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+
+    return {
+      count: durations.count,
+      total: durations.total,
+      mean: durations.total / durations.count,
+      p50: percentile(50),
+      p95: percentile(95),
+      max: durations.max,
+    };
+  }
+
+  /**
+   * Flatten an entry of the report into one row of a table.
+   *
+   * @param {TraceAnything.ProfileEntry} entry
+   * @param {(string|undefined)} instanceId
+   * @return {!Object<string, ?>}
+   * @private
+   */
+  static _toRow(entry, instanceId) {
+    const row = {};
+    if (instanceId != undefined) {
+      row.instanceId = instanceId;
+    }
+    row.name = entry.name;
+    row.type = entry.type;
+    row.count = entry.count;
+    row.threw = entry.threw;
+    row.rejected = entry.rejected;
+    for (const kind of ['sync', 'async']) {
+      const durations = entry[kind] || {};
+      for (const k of ['count', 'total', 'mean', 'p50', 'p95', 'max']) {
+        const column = kind + k[0].toUpperCase() + k.slice(1);
+        row[column] = durations[k];
+      }
+    }
+    return row;
+  }
+};
+
+/**
+ * The most durations to keep for the percentiles of each member, in each
+ * TraceAnything.Profiler.
+ *
+ * @private {number}
+ * @const
+ */
+TraceAnything.Profiler._MAX_SAMPLES = 1000;
+
+/**
+ * The columns of TraceAnything.Profiler.toCsv().
+ *
+ * @private {!Array<string>}
+ * @const
+ */
+TraceAnything.Profiler._CSV_COLUMNS = [
+  'instanceId', 'name', 'type', 'count', 'threw', 'rejected',
+  'syncCount', 'syncTotal', 'syncMean', 'syncP50', 'syncP95', 'syncMax',
+  'asyncCount', 'asyncTotal', 'asyncMean', 'asyncP50', 'asyncP95', 'asyncMax',
+];
+
+/**
+ * @typedef {{
+ *   members: !Array<TraceAnything.ProfileEntry>,
+ *   instances: !Object<string, !Array<TraceAnything.ProfileEntry>>
+ * }}
+ * @property {!Array<TraceAnything.ProfileEntry>} members
+ *   The totals for each member of each class, in the order they were first
+ *   seen.
+ * @property {!Object<string, !Array<TraceAnything.ProfileEntry>>} instances
+ *   The stats for each member of each instance, by instance ID.
+ */
+TraceAnything.ProfileReport;
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   className: string,
+ *   memberName: (string|undefined),
+ *   type: TraceAnything.LogTypes,
+ *   count: number,
+ *   threw: number,
+ *   rejected: number,
+ *   sync: ?TraceAnything.ProfileDurations,
+ *   async: ?TraceAnything.ProfileDurations
+ * }}
+ * @property {string} name
+ *   The class and member, such as "Foo.bar".  Constructors are
+ *   "Foo.constructor", and events are named after the event, as in
+ *   "Foo.change".
+ * @property {string} className
+ * @property {(string|undefined)} memberName
+ *   The method, property, or event name.  Undefined for functions called
+ *   directly in "proxy" mode.
+ * @property {TraceAnything.LogTypes} type
+ *   The type of logs counted.  A getter and a setter for the same property
+ *   are separate entries.
+ * @property {number} count
+ *   The number of calls, accesses, or events fired.
+ * @property {number} threw
+ *   The number of calls which threw.
+ * @property {number} rejected
+ *   The number of async calls which were rejected.
+ * @property {?TraceAnything.ProfileDurations} sync
+ *   The durations of sync calls which did not throw, or null if there were
+ *   none.  Always null for events.
+ * @property {?TraceAnything.ProfileDurations} async
+ *   The durations of async calls until they were resolved, or null if there
+ *   were none.
+ */
+TraceAnything.ProfileEntry;
+
+/**
+ * @typedef {{
+ *   count: number,
+ *   total: number,
+ *   mean: number,
+ *   p50: number,
+ *   p95: number,
+ *   max: number
+ * }}
+ * @property {number} count
+ *   The number of durations measured.
+ * @property {number} total
+ *   The sum of all durations, in milliseconds.  All durations come from the
+ *   same clock as TraceAnything.Log.startTime.
+ * @property {number} mean
+ * @property {number} p50
+ *   The median, by the nearest-rank method.  Past 1000 durations, this is
+ *   estimated from a random sample of 1000 of them.
+ * @property {number} p95
+ *   The 95th percentile, by the nearest-rank method, estimated like p50.
+ * @property {number} max
+ */
+TraceAnything.ProfileDurations;
+
+/**
+ * A logger which saves a trace that can be replayed later with
+ * TraceAnything.replay().  Values in the logs are serialized so that they can
+ * be reconstructed: binary data is kept in base64, and traced objects are
+ * referred to by their instance IDs.  Pass an instance as
+ * TraceAnything.Options.logger.
+ */
+TraceAnything.ReplayRecorder = class {
+  /**
+   * @param {{idProperty: (?string|undefined), maxDepth: (number|undefined)}=}
+   *     config
+   *   idProperty should match the option used for tracing.  It is used to
+   *   identify traced objects in arguments and results.  By default,
+   *   TraceAnything.defaultOptions.idProperty.
+   *   maxDepth limits how deeply objects are serialized.  By default, 5.
+   */
+  constructor(config) {
+    config = config || {};
+
+    /** @private {?string} */
+    this._idProperty = 'idProperty' in config ?
+        config.idProperty : TraceAnything.defaultOptions.idProperty;
+
+    /** @private {number} */
+    this._maxDepth = config.maxDepth || 5;
+
+    /**
+     * Serialized logs so far.
+     *
+     * @private {!Array<!Object>}
+     */
+    this._entries = [];
+
+    /**
+     * Entries for async methods whose Promise may not be settled yet, and the
+     * logs which will tell us the results.
+     *
+     * @private {!Array<{entry: !Object, log: TraceAnything.Log}>}
+     */
+    this._pending = [];
+
+    /**
+     * A map of traced objects to the instance IDs seen in the logs.
+     *
+     * @private {!WeakMap<!Object, string>}
+     */
+    this._ids = new WeakMap();
+  }
+
+  /**
+   * @param {TraceAnything.Log} log
+   */
+  log(log) {
+    const LogTypes = TraceAnything.LogTypes;
+    if (![LogTypes.Constructor, LogTypes.Method, LogTypes.Getter,
+          LogTypes.Setter, LogTypes.Event].includes(log.type)) {
+      return;
+    }
+
+    // Remember which ID goes with which object, so we can refer to these
+    // objects by ID when they show up as values.
+    this._rememberId(log.instance, log.instanceId);
+    if (log.type == LogTypes.Constructor) {
+      this._rememberId(log.result, log.instanceId);
+    }
+
+    const entry = {
+      type: log.type,
+      callId: log.callId,
+      parentCallId: log.parentCallId,
+      className: log.className,
+      instanceId: log.instanceId,
+    };
+
+    for (const field of ['methodName', 'memberName', 'eventName']) {
+      if (log[field] != undefined) {
+        entry[field] = log[field];
+      }
+    }
+
+    for (const field of ['args', 'value', 'event']) {
+      if (field in log) {
+        entry[field] = this._encode(log[field]);
+      }
+    }
+
+    if (log.async) {
+      entry.async = true;
+      if (!this._settle(entry, log)) {
+        this._pending.push({entry, log});
+      }
+    } else {
+      for (const field of ['result', 'threw']) {
+        if (field in log) {
+          entry[field] = this._encode(log[field]);
+        }
+      }
+    }
+
+    this._entries.push(entry);
+  }
+
+  /**
+   * @return {!Object} The trace so far, ready to be converted to JSON and
+   *   passed to TraceAnything.replay() later.  Calls to async methods whose
+   *   Promise is still pending will never settle when replayed.
+   */
+  getTrace() {
+    this._pending = this._pending.filter(
+        ({entry, log}) => !this._settle(entry, log));
+
+    return {
+      format: 'trace-anything-replay',
+      version: 1,
+      maxDepth: this._maxDepth,
+      entries: this._entries.slice(),
+    };
+  }
+
+  /**
+   * Allows the logger to be passed directly to JSON.stringify().
+   *
+   * @return {!Object}
+   */
+  toJSON() {
+    return this.getTrace();
+  }
+
+  /**
+   * Write the trace as JSON.
+   *
+   * @param {(string|function(string))} destination A filename to write to
+   *   (nodejs only), or a callback to receive the JSON.
+   */
+  write(destination) {
+    TraceAnything._writeOut(JSON.stringify(this.getTrace()), destination);
+  }
+
+  /**
+   * Forget all logs collected so far.
+   */
+  clear() {
+    this._entries = [];
+    this._pending = [];
+  }
+
+  /**
+   * Fill in the result of an async method, if it is known yet.
+   *
+   * @param {!Object} entry
+   * @param {TraceAnything.Log} log
+   * @return {boolean} True if the Promise was settled.
+   * @private
+   */
+  _settle(entry, log) {
+    if ('asyncResult' in log) {
+      entry.result = this._encode(log.asyncResult);
+      return true;
+    } else if ('asyncThrew' in log) {
+      entry.threw = this._encode(log.asyncThrew);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {?} object
+   * @param {(string|undefined)} id
+   * @private
+   */
+  _rememberId(object, id) {
+    if (object === Object(object) && id != undefined) {
+      this._ids.set(TraceAnything._unwrap(object), id);
+    }
+  }
+
+  /**
+   * @param {?} value
+   * @return {?} The serialized value.
+   * @private
+   */
+  _encode(value) {
+    return TraceAnything.Replay._encode(
+        value, (object) => this._getInstanceId(object), this._maxDepth);
+  }
+
+  /**
+   * @param {!Object} value
+   * @return {?string} The instance ID, if this is a traced object.
+   * @private
+   */
+  _getInstanceId(value) {
+    const object = TraceAnything._unwrap(value);
+    if (this._ids.has(object)) {
+      return this._ids.get(object);
+    }
+    return TraceAnything._getTracedId(object, this._idProperty);
+  }
+};
+
+/**
+ * Stub objects which replay a trace saved by TraceAnything.ReplayRecorder.
+ * See TraceAnything.replay().
+ *
+ * Each instance ID in the trace gets a stub, which is an EventTarget where
+ * available.  Calling a recorded method on a stub returns (or throws) the
+ * recorded result, and async methods return a Promise of the recorded result.
+ * Recorded events are fired in order, as soon as the calls recorded before
+ * them have been made.  Getters return the value recorded most recently,
+ * relative to the calls made so far.
+ *
+ * Calls which were not recorded, or which were made out of order or with
+ * different arguments, are flagged in the "mismatches" field and logged as
+ * Warning-type logs.
+ */
+TraceAnything.Replay = class {
+  /**
+   * @param {!Object} trace A trace from TraceAnything.ReplayRecorder.
+   * @param {TraceAnything.Options} options
    */
-  static _shimEventListener(traced, listener, className, eventName, options) {
-    // If this event corresponds to a change in a specific property, try to
-    // find it now.  Then we can log the specific value it has in the listener.
-    let correspondingPropertyName = null;
+  constructor(trace, options) {
+    if (!trace || trace.format != 'trace-anything-replay') {
+      throw new Error('Not a trace from TraceAnything.ReplayRecorder!');
+    }
 
-    if (eventName in options.eventProperties) {
-      correspondingPropertyName = options.eventProperties[eventName];
-    } else {
-      const canonicalEventName = eventName.toLowerCase();
-      const lowerCasePropertyName = canonicalEventName.replace(/change$/, '');
-      for (const k in traced) {
-        if (k.toLowerCase() == lowerCasePropertyName) {
-          correspondingPropertyName = k;
-          break;
+    /**
+     * Calls which did not match the recording.
+     *
+     * @type {!Array<{instanceId: ?string, name: string, args: !Array<?>,
+     *                message: string}>}
+     */
+    this.mismatches = [];
+
+    /** @private {!Array<!Object>} */
+    this._entries = trace.entries;
+
+    /** @private {number} */
+    this._maxDepth = trace.maxDepth;
+
+    /** @private {TraceAnything.Options} */
+    this._options = options;
+
+    /**
+     * The indexes of entries which have been replayed.
+     *
+     * @private {!Set<number>}
+     */
+    this._consumed = new Set();
+
+    /**
+     * The index of the next entry to check for events to fire.
+     *
+     * @private {number}
+     */
+    this._nextEventIndex = 0;
+
+    /** @private {?number} */
+    this._eventTimer = null;
+
+    /** @private {!Map<string, !Object>} */
+    this._stubs = new Map();
+
+    /** @private {!Map<!Object, string>} */
+    this._stubIds = new Map();
+
+    /** @private {!Map<string, function(new:Object, ...?)>} */
+    this._classes = new Map();
+
+    /**
+     * Values set by the app, and the position at which they were set.
+     *
+     * @private {!Map<string, {value: ?, position: number}>}
+     */
+    this._setValues = new Map();
+
+    /**
+     * Promises for properties whose resolution was recorded as a pseudo-event.
+     *
+     * @private {!Map<string, {promise: !Promise, resolve: function(?),
+     *                         reject: function(?)}>}
+     */
+    this._promises = new Map();
+
+    // Work out which calls we expect the app to make.  Calls made by the
+    // original objects internally are nested in other calls, and calls to the
+    // EventTarget interface are handled by the stubs themselves.
+    const LogTypes = TraceAnything.LogTypes;
+    const types = new Map(this._entries.map((e) => [e.callId, e.type]));
+
+    /** @private {!Array<boolean>} */
+    this._expected = this._entries.map((entry) => {
+      if (entry.type == LogTypes.Method) {
+        if (TraceAnything._EVENT_TARGET_METHODS.includes(
+            entry.methodName)) {
+          return false;
         }
+      } else if (entry.type != LogTypes.Constructor) {
+        return false;
       }
+
+      const parentType = types.get(entry.parentCallId);
+      return parentType == undefined || parentType == LogTypes.Event;
+    });
+
+    // Fire any events recorded before the first call, once the app has had a
+    // chance to listen for them.
+    this._scheduleEvents();
+  }
+
+  /**
+   * @param {string} instanceId
+   * @return {!Object} The stub for the instance with this ID.
+   */
+  getInstance(instanceId) {
+    if (!this._stubs.has(instanceId)) {
+      this._createStub(instanceId);
     }
+    return this._stubs.get(instanceId);
+  }
 
-    // Return a shim listener which logs the event.
-    return function(event) {
-      const log = {
-        timestamp: Date.now(),
-        duration: 0,
-        type: TraceAnything.LogTypes.Event,
-        instance: traced,
-        instanceId: TraceAnything._getId(traced, className, options),
-        className,
-        eventName,
-        event,
+  /**
+   * @param {string} className
+   * @return {function(new:Object, ...?)} A constructor which returns the stubs
+   *   for the recorded constructor calls of this class, in order.
+   */
+  getClass(className) {
+    if (!this._classes.has(className)) {
+      const replay = this;
+      const ctor = function(...args) {
+        return replay._construct(className, args);
       };
+      Object.defineProperty(ctor, 'name', {value: className});
+      this._classes.set(className, ctor);
+    }
+    return this._classes.get(className);
+  }
+
+  /**
+   * @param {string} instanceId
+   * @private
+   */
+  _createStub(instanceId) {
+    const LogTypes = TraceAnything.LogTypes;
+    const entries = this._entries.filter((e) => e.instanceId == instanceId);
+    const className = entries.length ? entries[0].className : 'Object';
 
-      // The corresponding property may be an array of multiple properties
-      // which should be logged with this event.  If so, create an Object
-      // mapping names to values.
-      if (Array.isArray(correspondingPropertyName)) {
-        log.value = {};
-        for (const name of correspondingPropertyName) {
-          log.value[name] = TraceAnything._extractProperty(traced, name);
+    const stub = typeof EventTarget == 'function' ? new EventTarget() : {};
+    Object.defineProperty(stub, Symbol.toStringTag, {value: className});
+    this._stubs.set(instanceId, stub);
+    this._stubIds.set(stub, instanceId);
+
+    for (const entry of entries) {
+      if (entry.type == LogTypes.Method) {
+        const name = entry.methodName;
+        if (name in stub) {
+          continue;
+        }
+        stub[name] = (...args) => this._call(instanceId, name, args);
+      } else if (entry.type == LogTypes.Getter ||
+                 entry.type == LogTypes.Setter) {
+        const name = entry.memberName;
+        if (name in stub) {
+          continue;
+        }
+        Object.defineProperty(stub, name, {
+          configurable: true,
+          enumerable: true,
+          get: () => this._get(instanceId, name),
+          set: (value) => this._set(instanceId, name, value),
+        });
+      } else if (entry.type == LogTypes.Event) {
+        const match = /^(.+) Promise (resolved|rejected)$/.exec(
+            entry.eventName);
+        if (match && !(match[1] in stub)) {
+          stub[match[1]] = this._getPromise(instanceId, match[1]).promise;
         }
-      } else if (correspondingPropertyName) {
-        log.value = TraceAnything._extractProperty(
-            traced, correspondingPropertyName);
       }
+    }
+  }
 
-      options.logger(log);
+  /**
+   * @param {string} className
+   * @param {!Array<?>} args
+   * @return {(!Object|undefined)}
+   * @private
+   */
+  _construct(className, args) {
+    const index = this._findNextCall((entry) =>
+      entry.type == TraceAnything.LogTypes.Constructor &&
+      entry.className == className);
+    if (index == -1) {
+      // There is no instance yet.
+      this._mismatch(null, `new ${className}`, args, 'was not recorded');
+      return undefined;
+    }
+
+    const entry = this._entries[index];
+    this._replayCall(index, `new ${className}`, args);
+
+    if ('threw' in entry) {
+      throw this._decode(entry.threw);
+    }
+    return this.getInstance(entry.instanceId);
+  }
 
-      // This supports the EventListener interface, in which "listener" could be
-      // an object with a "handleEvent" field.
-      if (listener.handleEvent) {
-        return listener.handleEvent.call(this, event);
+  /**
+   * @param {string} instanceId
+   * @param {string} name
+   * @param {!Array<?>} args
+   * @return {?}
+   * @private
+   */
+  _call(instanceId, name, args) {
+    const index = this._findNextCall((entry) =>
+      entry.type == TraceAnything.LogTypes.Method &&
+      entry.instanceId == instanceId && entry.methodName == name);
+    if (index == -1) {
+      this._mismatch(instanceId, name, args, 'was not recorded');
+      return undefined;
+    }
+
+    const entry = this._entries[index];
+    this._replayCall(index, name, args);
+
+    if (entry.async) {
+      if ('threw' in entry) {
+        return Promise.reject(this._decode(entry.threw));
+      } else if ('result' in entry) {
+        return Promise.resolve(this._decode(entry.result));
       } else {
-        return listener.call(this, event);
+        // This Promise was never settled in the recording.
+        return new Promise(() => {});
       }
-    };
+    }
+
+    if ('threw' in entry) {
+      throw this._decode(entry.threw);
+    }
+    return this._decode(entry.result);
   }
 
   /**
-   * Extract a single property value from an object by name.
+   * Mark a call as replayed, and flag it if it doesn't match the recording.
    *
-   * @param {!Object} object The object from which to extract the value.
-   * @param {string} name The name of the property.  If the property is a
-   *   method, the method will be called to get the value.
-   * @return {?} The extracted value, which could be anything.
+   * @param {number} index The index of the recorded call.
+   * @param {string} name The name of the method called.
+   * @param {!Array<?>} args The arguments given by the app.
    * @private
    */
-  static _extractProperty(object, name) {
-    const value = object[name];
+  _replayCall(index, name, args) {
+    const entry = this._entries[index];
 
-    // If the property is a method, call it now.
-    if (value instanceof Function) {
-      return value.call(object);
-    } else {
-      return value;
+    const earlier = this._entries.findIndex((other, i) =>
+      i < index && this._expected[i] && !this._consumed.has(i) &&
+      other.instanceId == entry.instanceId);
+    if (earlier != -1) {
+      const earlierEntry = this._entries[earlier];
+      this._mismatch(
+          entry.instanceId, name, args,
+          `was called before ${earlierEntry.methodName || 'construction'}`);
+    }
+
+    const encodedArgs = TraceAnything.Replay._encode(
+        args, (object) => this._stubIds.get(object) || null, this._maxDepth);
+    if (JSON.stringify(encodedArgs) != JSON.stringify(entry.args)) {
+      this._mismatch(entry.instanceId, name, args,
+          `was called with different arguments than recorded`);
     }
+
+    this._consumed.add(index);
+    this._scheduleEvents();
   }
 
   /**
-   * Find a property descriptor for a particular property of an object.  This
-   * allows access to getters and setters.
+   * @param {string} instanceId
+   * @param {string} name
+   * @return {?} The value of a property, as recorded most recently before the
+   *   next call we are waiting for, or as set by the app since then.
+   * @private
+   */
+  _get(instanceId, name) {
+    const LogTypes = TraceAnything.LogTypes;
+    const position = this._getPosition();
+    let recordedIndex = -1;
+    for (let i = 0; i < this._entries.length; i++) {
+      const entry = this._entries[i];
+      if (entry.instanceId != instanceId || entry.memberName != name ||
+          (entry.type != LogTypes.Getter && entry.type != LogTypes.Setter)) {
+        continue;
+      }
+      if (recordedIndex != -1 && i > position) {
+        break;
+      }
+      recordedIndex = i;
+    }
+
+    const set = this._setValues.get(`${instanceId}.${name}`);
+    if (set && set.position >= recordedIndex) {
+      return set.value;
+    }
+    if (recordedIndex == -1) {
+      return undefined;
+    }
+
+    const entry = this._entries[recordedIndex];
+    if ('threw' in entry) {
+      throw this._decode(entry.threw);
+    }
+    return this._decode(
+        entry.type == LogTypes.Getter ? entry.result : entry.value);
+  }
+
+  /**
+   * @param {string} instanceId
+   * @param {string} name
+   * @param {?} value
+   * @private
+   */
+  _set(instanceId, name, value) {
+    this._setValues.set(
+        `${instanceId}.${name}`, {value, position: this._getPosition()});
+  }
+
+  /**
+   * @param {string} instanceId
+   * @param {string} name
+   * @return {{promise: !Promise, resolve: function(?), reject: function(?)}}
+   * @private
+   */
+  _getPromise(instanceId, name) {
+    const key = `${instanceId}.${name}`;
+    if (!this._promises.has(key)) {
+      const deferred = {};
+      deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+      this._promises.set(key, deferred);
+    }
+    return this._promises.get(key);
+  }
+
+  /**
+   * @param {function(!Object):boolean} predicate
+   * @return {number} The index of the first call we expect from the app which
+   *   matches, and has not been replayed yet, or -1.
+   * @private
+   */
+  _findNextCall(predicate) {
+    return this._entries.findIndex((entry, i) =>
+      this._expected[i] && !this._consumed.has(i) && predicate(entry));
+  }
+
+  /**
+   * @return {number} The index of the next call we are waiting for, or the
+   *   number of entries if there are none left.
+   * @private
+   */
+  _getPosition() {
+    const index = this._findNextCall(() => true);
+    return index == -1 ? this._entries.length : index;
+  }
+
+  /** @private */
+  _scheduleEvents() {
+    if (this._eventTimer == null) {
+      this._eventTimer = setTimeout(() => {
+        this._eventTimer = null;
+        this._fireEvents();
+      }, 0);
+    }
+  }
+
+  /**
+   * Fire recorded events, in order, up to the first call we are still waiting
+   * for.
    *
-   * @param {!Object} object The object for which we want to find a property
-   *   descriptor.
-   * @param {string} k The name of the property.
-   * @return {Object} The property descriptor, or null if one cannot be found.
    * @private
    */
-  static _getDescriptor(object, k) {
-    while (object) {
-      const descriptor = Object.getOwnPropertyDescriptor(object, k);
-      if (descriptor) {
-        return descriptor;
+  _fireEvents() {
+    while (this._nextEventIndex < this._entries.length) {
+      const index = this._nextEventIndex;
+      if (this._expected[index] && !this._consumed.has(index)) {
+        break;
       }
 
-      // Walk the prototype chain and keep looking.
-      object = Object.getPrototypeOf(object);
+      this._nextEventIndex++;
+      const entry = this._entries[index];
+      if (entry.type == TraceAnything.LogTypes.Event) {
+        this._fireEvent(entry);
+      }
     }
-    return null;
   }
 
   /**
-   * @param {!Object} traced The traced object.
-   * @param {string} className The class name.
-   * @param {TraceAnything.Options} options
-   * @return {string} The existing or newly-auto-generated ID for the object.
+   * @param {!Object} entry
    * @private
    */
-  static _getId(traced, className, options) {
-    if (options.idProperty && options.idProperty in traced) {
-      return traced[options.idProperty];
+  _fireEvent(entry) {
+    const stub = this.getInstance(entry.instanceId);
+    const eventFields = this._decode(entry.event) || {};
+
+    const match = /^(.+) Promise (resolved|rejected)$/.exec(entry.eventName);
+    if (match) {
+      const deferred = this._getPromise(entry.instanceId, match[1]);
+      if (match[2] == 'resolved') {
+        deferred.resolve(eventFields.result);
+      } else {
+        deferred.reject(eventFields.threw);
+      }
+      return;
+    }
+
+    const event = typeof Event == 'function' ?
+        new Event(entry.eventName) : {type: entry.eventName};
+    for (const k in eventFields) {
+      if (!(k in event)) {
+        Object.defineProperty(event, k, {
+          enumerable: true,
+          value: eventFields[k],
+        });
+      }
     }
 
-    if (traced.__TraceAnythingId__ == null) {
-      const id = TraceAnything._nextGeneratedId.get(className) || 1;
-      TraceAnything._nextGeneratedId.set(className, id + 1);
-      traced.__TraceAnythingId__ = className + '_' + id;
+    if (stub.dispatchEvent) {
+      stub.dispatchEvent(event);
+    }
+
+    // EventTarget doesn't support "on" properties by itself.
+    const listener = stub['on' + entry.eventName];
+    if (typeof listener == 'function') {
+      listener.call(stub, event);
     }
-    return traced.__TraceAnythingId__;
   }
-}
 
-/**
- * Log type constants sent through the logger.
- *
- * @enum {string}
- */
-TraceAnything.LogTypes = {
-  Constructor: 'Constructor',
-  Method: 'Method',
-  Getter: 'Getter',
-  Setter: 'Setter',
-  Event: 'Event',
-  Warning: 'Warning',
-};
+  /**
+   * @param {?string} instanceId The instance the call was made on, or null
+   *   for constructors.
+   * @param {string} name
+   * @param {!Array<?>} args
+   * @param {string} reason
+   * @private
+   */
+  _mismatch(instanceId, name, args, reason) {
+    const message = instanceId == null ?
+        `Replay: ${name} ${reason}` :
+        `Replay: ${name} on ${instanceId} ${reason}`;
+    this.mismatches.push({instanceId, name, args, message});
+    TraceAnything._log({
+      timestamp: Date.now(),
+      duration: 0,
+      type: TraceAnything.LogTypes.Warning,
+      instanceId: instanceId == null ? undefined : instanceId,
+      message,
+    }, this._options);
+  }
 
-/**
- * @typedef {{
- *   timestamp: Number,
- *   duration: Number,
- *   type: TraceAnything.LogTypes,
- *   instance: (!Object|undefined),
- *   instanceId: (string|undefined),
- *   message: (string|undefined),
- *   className: (string|undefined),
- *   methodName: (string|undefined),
- *   memberName: (string|undefined),
- *   eventName: (string|undefined),
- *   args: (!Array<?>|undefined),
- *   threw: (?|undefined),
- *   result: (?|undefined),
- *   value: (?|undefined)
- * }}
- * @property {Number} timestamp
- *   A timestamp of when the call was made, in milliseconds since 1970, UTC.
- *   Suitable for use in the Date constructor in JavaScript.
- * @property {Number} duration
- *   The duration of this call in milliseconds.  This is particularly useful
- *   information for async methods.  The value may be 0 for some types, such as
- *   events or warnings.
- * @property {TraceAnything.LogTypes} type
- *   The type of log.
- * @property {(!Object|undefined)} instance
- *   The instance on which this method call / getter / setter / event occurred.
- * @property {(string|undefined)} instanceId
- *   The instance ID.  May be auto-generated for some types.
- *   See TraceAnything.Options.idProperty.
- * @property {(string|undefined)} message
- *   A message for Warning-type logs.
- * @property {(string|undefined)} className
- *   A class name for non-Warning-type logs.
- * @property {(string|undefined)} methodName
- *   A method name for Method-type logs.
- * @property {(string|undefined)} memberName
- *   A member name for Getter- and Setter-type logs.
- * @property {(string|undefined)} eventName
- *   An event name for Event-type logs.
- * @property {(!Array<?>|undefined)} args
- *   An arguments array for Constructor- and Method-type logs.
- * @property {(?|undefined)} threw
- *   What was thrown if the constructor/method/getter/setter threw.
- * @property {(?|undefined)} result
- *   What was returned if the constructor/method/getter did not throw.
- * @property {(?|undefined)} value
- *   The value that was set in a setter, or the object property associated with
- *   an event by its name.  (For example, object.error for an error event, or
- *   object.keyStatuses for a keystatuseschange event.)
- */
-TraceAnything.Log;
+  /**
+   * @param {?} value A serialized value.
+   * @return {?} The value, with stubs in place of traced objects.
+   * @private
+   */
+  _decode(value) {
+    return TraceAnything.Replay._decode(
+        value, (instanceId) => this.getInstance(instanceId));
+  }
+
+  /**
+   * Serialize a value in a way that can be converted to JSON and back.
+   *
+   * @param {?} value
+   * @param {function(!Object):?string} getInstanceId Returns an instance ID
+   *   for traced objects, and null for others.
+   * @param {number} depth How many more levels of objects to serialize.
+   * @param {!Set<!Object>=} ancestors The objects currently being serialized,
+   *   to detect cycles.
+   * @return {?}
+   * @private
+   */
+  static _encode(value, getInstanceId, depth, ancestors) {
+    ancestors = ancestors || new Set();
+
+    switch (typeof value) {
+      case 'undefined':
+        return {$type: 'undefined'};
+      case 'boolean':
+      case 'string':
+        return value;
+      case 'number':
+        return Number.isFinite(value) ?
+            value : {$type: 'number', value: String(value)};
+      case 'bigint':
+        return {$type: 'bigint', value: String(value)};
+      case 'symbol':
+        return {$type: 'symbol', description: value.description};
+      case 'function':
+        return {$type: 'function', name: value.name};
+    }
+
+    if (value === null) {
+      return null;
+    }
+
+    const instanceId = getInstanceId(value);
+    if (instanceId != null) {
+      return {$type: 'instance', id: instanceId};
+    }
+
+    if (value instanceof ArrayBuffer) {
+      return {
+        $type: 'ArrayBuffer',
+        base64: TraceAnything._toBase64(new Uint8Array(value)),
+      };
+    }
+
+    if (ArrayBuffer.isView(value)) {
+      const bytes =
+          new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+      return {
+        $type: 'ArrayBufferView',
+        className: value.constructor.name,
+        base64: TraceAnything._toBase64(bytes),
+      };
+    }
+
+    if (value instanceof Error) {
+      return {$type: 'Error', name: value.name, message: value.message};
+    }
+
+    if (value instanceof Date) {
+      return {$type: 'Date', value: value.getTime()};
+    }
 
-/**
- * The default logger for TraceAnything.  Everything will be logged to the
- * JavaScript console, and in a rich format where objects can be interrogated
- * further.
- *
- * @param {TraceAnything.Log} log
- */
-TraceAnything.defaultLogger = (log) => {
-  // NOTE: We are not combining everything into a single string in the default
-  // logger, because the JS console is actually capable of printing complex
-  // values like objects and arrays.
-  let logPrefix = `TraceAnything: (ID ${log.instanceId}) `;
+    if (ancestors.has(value)) {
+      return {$type: 'circular'};
+    }
 
-  if (log.type == TraceAnything.LogTypes.Warning) {
-    console.warn(logPrefix + log.message);
-    return;
-  }
+    if (depth <= 0) {
+      return {$type: 'truncated'};
+    }
 
-  if (log.type == TraceAnything.LogTypes.Constructor) {
-    logPrefix += `new ${log.className}`;
-  } else if (log.type == TraceAnything.LogTypes.Method) {
-    logPrefix += `${log.className}.${log.methodName}`;
-  } else if (log.type == TraceAnything.LogTypes.Getter ||
-             log.type == TraceAnything.LogTypes.Setter) {
-    logPrefix += `${log.className}.${log.memberName}`;
-  } else if (log.type == TraceAnything.LogTypes.Event) {
-    logPrefix += `${log.className} ${log.eventName} event`;
-  }
+    ancestors.add(value);
+    const encode = (item) => TraceAnything.Replay._encode(
+        item, getInstanceId, depth - 1, ancestors);
 
-  if (log.type == TraceAnything.LogTypes.Constructor ||
-      log.type == TraceAnything.LogTypes.Method) {
-    // For console logging, put a comma between the arguments.
-    // NOTE: Since we want to print potentially complex objects in the args
-    // array, we don't use join, which results in a single string.
-    const argsWithCommas = log.args.reduce((r, a) => r.concat(a, ','), []);
-    // Remove a trailing comma from the end of the array.
-    argsWithCommas.pop();
+    try {
+      if (Array.isArray(value)) {
+        return value.map(encode);
+      }
 
-    if (log.threw) {
-      console.error(`${logPrefix}(`, ...argsWithCommas, ') threw', log.threw);
-    } else {
-      console.debug(`${logPrefix}(`, ...argsWithCommas, ') =>', log.result);
+      // This covers Map and map-like objects, such as MediaKeyStatusMap.
+      if (value instanceof Map || (typeof value.entries == 'function' &&
+          typeof value.get == 'function' && 'size' in value)) {
+        return {
+          $type: 'Map',
+          entries: Array.from(
+              value.entries(), ([k, v]) => [encode(k), encode(v)]),
+        };
+      }
+
+      if (value instanceof Set) {
+        return {$type: 'Set', values: Array.from(value, encode)};
+      }
+
+      const fields = {};
+      for (const k in value) {
+        let field;
+        try {
+          field = value[k];
+        } catch (error) {
+          // Some native getters throw, depending on the object's state.
+          continue;
+        }
+
+        if (typeof field != 'function') {
+          fields[k] = encode(field);
+        }
+      }
+
+      const prototype = Object.getPrototypeOf(value);
+      if ((prototype == Object.prototype || prototype == null) &&
+          !Object.prototype.hasOwnProperty.call(fields, '$type')) {
+        return fields;
+      }
+
+      const ctor = prototype && prototype.constructor;
+      return {
+        $type: 'object',
+        className: ctor ? ctor.name : 'Object',
+        fields,
+      };
+    } finally {
+      ancestors.delete(value);
     }
-  } else if (log.type == TraceAnything.LogTypes.Getter) {
-    if (log.threw) {
-      console.error(`${logPrefix} threw`, log.threw);
-    } else {
-      console.debug(`${logPrefix} =>`, log.result);
+  }
+
+  /**
+   * Reconstruct a value serialized by _encode().  Objects of other classes
+   * become plain objects, and functions become no-ops.
+   *
+   * @param {?} value
+   * @param {function(string):!Object} getInstance Returns a stub for an
+   *   instance ID.
+   * @return {?}
+   * @private
+   */
+  static _decode(value, getInstance) {
+    if (value == null || typeof value != 'object') {
+      return value;
     }
-  } else if (log.type == TraceAnything.LogTypes.Setter) {
-    if (log.threw) {
-      console.error(`${logPrefix} =`, log.value, 'threw', log.threw);
-    } else {
-      console.debug(`${logPrefix} =`, log.value);
+
+    const decode = (item) => TraceAnything.Replay._decode(item, getInstance);
+
+    if (Array.isArray(value)) {
+      return value.map(decode);
     }
-  } else if (log.type == TraceAnything.LogTypes.Event) {
-    if ('value' in log) {
-      console.debug(logPrefix, log.event, '=>', log.value);
-    } else {
-      console.debug(logPrefix, log.event);
+
+    // The fields of an object are never tagged themselves.  Plain objects with
+    // their own $type field are encoded as "object", to keep it from being
+    // mistaken for a tag.
+    const decodeFields = (fields) => {
+      const object = {};
+      for (const k in fields) {
+        object[k] = decode(fields[k]);
+      }
+      return object;
+    };
+
+    switch (value.$type) {
+      case undefined:
+        return decodeFields(value);
+      case 'object':
+        return decodeFields(value.fields);
+      case 'undefined':
+      case 'circular':
+      case 'truncated':
+        return undefined;
+      case 'number':
+        return Number(value.value);
+      case 'bigint':
+        return BigInt(value.value);
+      case 'symbol':
+        return Symbol(value.description);
+      case 'function':
+        return () => {};
+      case 'instance':
+        return getInstance(value.id);
+      case 'ArrayBuffer':
+        return TraceAnything._fromBase64(value.base64).buffer;
+      case 'ArrayBufferView': {
+        const bytes = TraceAnything._fromBase64(value.base64);
+        const ctor = typeof globalThis != 'undefined' &&
+            globalThis[value.className];
+        if (ctor == DataView) {
+          return new DataView(bytes.buffer);
+        } else if (ctor && ctor.BYTES_PER_ELEMENT) {
+          return new ctor(bytes.buffer);
+        }
+        return bytes;
+      }
+      case 'Error': {
+        const error = new Error(value.message);
+        error.name = value.name;
+        return error;
+      }
+      case 'Date':
+        return new Date(value.value);
+      case 'Map':
+        return new Map(value.entries.map(([k, v]) => [decode(k), decode(v)]));
+      case 'Set':
+        return new Set(value.values.map(decode));
+      default:
+        return undefined;
     }
   }
 };
 
+/**
+ * Built-in clocks for TraceAnything.Options.clock.  Each returns a time in
+ * milliseconds.
+ *
+ * @const {!Object<string, function():number>}
+ */
+TraceAnything.Clocks = {
+  // performance.now(), available in browsers and nodejs.
+  performance: () => performance.now(),
+  // process.hrtime.bigint(), available in nodejs.
+  hrtime: () => Number(process.hrtime.bigint()) / 1e6,
+  // Date.now(), which is neither high-resolution nor monotonic, but matches
+  // TraceAnything.Log.timestamp.
+  date: () => Date.now(),
+};
+
 /**
  * @typedef {{
+ *   mode: TraceAnything.Modes,
  *   inPlace: boolean,
  *   methods: boolean,
  *   properties: boolean,
@@ -1004,14 +6843,39 @@ TraceAnything.defaultLogger = (log) => {
  *   extraEvents: !Array<string>,
  *   skipEvents: !Array<string>,
  *   exploreResultFields: !Array<string>,
- *   logger: function(TraceAnything.Log),
- *   logAsyncResultsImmediately: boolean
+ *   logger: (function(TraceAnything.Log)|{log: function(TraceAnything.Log)}),
+ *   logAsyncResultsImmediately: boolean,
+ *   idProperty: string,
+ *   clock: function():number,
+ *   filter: ?function(TraceAnything.Log):boolean,
+ *   rateLimits: !Object<string, number>,
+ *   sampleRate: number,
+ *   droppedLogSummaryInterval: number,
+ *   redact: !Array<TraceAnything.RedactionRule>,
+ *   traceCallbackArgs: boolean,
+ *   discovery: TraceAnything.Discovery,
+ *   stopPrototypes: !Array<!Object>,
+ *   includeMembers: ?Array<(string|!RegExp)>,
+ *   excludeMembers: !Array<(string|!RegExp)>,
+ *   eventHandlerProperties: !Array<string>,
+ *   traceIterators: boolean,
+ *   captureStack: (boolean|function(TraceAnything.Log):boolean)
  * }}
+ * @property {TraceAnything.Modes} mode
+ *   How objects are traced.
+ *   In "shim" mode, members are discovered when tracing starts and replaced by
+ *   shims, either in-place or on a wrapper object.
+ *   In "proxy" mode, objects are wrapped in a Proxy, which sees every member
+ *   accessed, including symbols and members added after tracing started.
+ *   Objects traced this way will also log the "in" and "delete" operators, and
+ *   calls to them if they are functions.  inPlace and extraProperties have no
+ *   effect in this mode.
+ *   By default, "shim".
  * @property {boolean} inPlace
  *   If true, the shimmed object will be modified in-place.  Not all objects can
  *   be modified in place.
- *   If false, the traceObject and traceMethod methods will return a wrapper
- *   object that you should assign to replace the original.
+ *   If false, the traceObject and traceMember methods will return a handle
+ *   with a wrapper object that you should assign to replace the original.
  *   By default, true.
  * @property {boolean} methods
  *   Shim methods.  Without further configuration, this will shim all enumerable
@@ -1063,8 +6927,10 @@ TraceAnything.defaultLogger = (log) => {
  *   Explore specific fields of the results of a method.  This allows tracing
  *   into return values that are plain objects.
  *   By default, empty.
- * @property {function(TraceAnything.Log)} logger
- *   A callback that recieves log objects.
+ * @property {(function(TraceAnything.Log)|{log: function(TraceAnything.Log)})}
+ *     logger
+ *   A callback that recieves log objects, or an object with a log() method,
+ *   such as TraceAnything.ChromeTraceLogger.
  *   By default, TraceAnything.defaultLogger, which logs to the JavaScript
  *   console.
  * @property {boolean} logAsyncResultsImmediately
@@ -1083,6 +6949,89 @@ TraceAnything.defaultLogger = (log) => {
  *   or if the associated property does not exist on the object, TraceAnything
  *   will generate an ID automatically.
  *   By default, "id".
+ * @property {function():number} clock
+ *   A monotonic clock used for TraceAnything.Log.startTime and hrDuration,
+ *   which returns a time in milliseconds.  See TraceAnything.Clocks for
+ *   built-in choices.
+ *   By default, TraceAnything.Clocks.hrtime in nodejs, or else
+ *   TraceAnything.Clocks.performance.
+ * @property {?function(TraceAnything.Log):boolean} filter
+ *   A predicate called with each log before it goes to the logger.  Return
+ *   false to drop the log.  Unlike skipProperties and skipEvents, this can
+ *   decide based on the arguments, results, or any other field of the log.
+ *   By default, null, which keeps all logs.
+ * @property {!Object<string, number>} rateLimits
+ *   A map of method, property, or event names to the maximum number of logs
+ *   per second for each.  Names can be qualified with a class name, as in
+ *   "HTMLMediaElement.currentTime", which takes precedence over the bare
+ *   name.  Warnings are never rate-limited.
+ *   By default, empty.
+ * @property {number} sampleRate
+ *   The fraction of logs to keep, chosen at random, between 0 and 1.
+ *   Warnings are never dropped by sampling.
+ *   By default, 1.
+ * @property {number} droppedLogSummaryInterval
+ *   When logs are dropped by filter, rateLimits, or sampleRate, a Warning with
+ *   the number of dropped logs is sent to the logger after this many
+ *   milliseconds.
+ *   By default, 5000.
+ * @property {!Array<TraceAnything.RedactionRule>} redact
+ *   Rules to redact sensitive values, such as license bytes, keys, or tokens,
+ *   before any logger sees them.  Applies to logs of all types.
+ *   By default, empty.
+ * @property {boolean} traceCallbackArgs
+ *   If true, functions passed to traced constructors and methods, such as the
+ *   callbacks of setTimeout, are wrapped so that calls to them are logged.
+ *   These are Method-type logs on the same instance, with a methodName such as
+ *   "setTimeout callback", and a callbackOf field linking them to the call
+ *   they were passed to.  Event listeners are not wrapped, since events are
+ *   traced already.  A function passed more than once is linked to the latest
+ *   call it was passed to.
+ *   By default, false.
+ * @property {TraceAnything.Discovery} discovery
+ *   How the members of an object are discovered in "shim" mode.
+ *   With "enumerable", only enumerable members are found, own or inherited.
+ *   With "prototypeChain", all own members of the object and its prototypes
+ *   are found, including non-enumerable members, such as the methods of ES
+ *   classes, and symbol-keyed members.  The walk stops at stopPrototypes.
+ *   By default, "enumerable".
+ * @property {!Array<!Object>} stopPrototypes
+ *   With "prototypeChain" discovery, members of these prototypes, and of
+ *   anything they inherit from, are not traced.
+ *   By default, Object.prototype and EventTarget.prototype (where available).
+ * @property {?Array<(string|!RegExp)>} includeMembers
+ *   If not null, only trace members whose names match one of these patterns,
+ *   which are globs (with "*" and "?") or regular expressions.  Symbols are
+ *   matched by their string form, such as "Symbol(Symbol.iterator)".
+ *   extraProperties are traced even if they don't match.
+ *   By default, null.
+ * @property {!Array<(string|!RegExp)>} excludeMembers
+ *   Don't trace members whose names match one of these patterns, as in
+ *   includeMembers.  Like skipProperties, but not limited to exact names.
+ *   By default, empty.
+ * @property {!Array<string>} eventHandlerProperties
+ *   Treat these properties as event handler properties, such as "onfoo", in
+ *   addition to those found automatically.  Event handler properties are only
+ *   found automatically on EventTargets, where they are accessor properties
+ *   whose names start with "on", and whose values are null or functions.  The
+ *   event name is the property name without the "on" prefix.
+ *   By default, empty.
+ * @property {boolean} traceIterators
+ *   If true, iterators, async iterators, ReadableStreams, and stream readers
+ *   returned by traced methods are shimmed so that each step is logged.
+ *   These are Method-type logs on the same instance, with a methodName such as
+ *   "entries next" or "getReader read", and an iteratorOf field linking them to
+ *   the call that returned the iterator.  Stopping early, through return() or
+ *   cancel(), is logged the same way.
+ *   By default, false.
+ * @property {(boolean|function(TraceAnything.Log):boolean)} captureStack
+ *   If true, Constructor-, Method-, Getter-, and Setter-type logs get the
+ *   stack of the app's call site in their stack field, with the frames of
+ *   TraceAnything itself removed.  This is costly, so it may also be a
+ *   function, called with each log before the call is made, which returns true
+ *   to capture the stack for it.  The log has its type, className, and
+ *   methodName or memberName filled in already.
+ *   By default, false.
  */
 TraceAnything.Options;
 
@@ -1094,6 +7043,7 @@ TraceAnything.Options;
  * @type {TraceAnything.Options}
  */
 TraceAnything.defaultOptions = {
+  mode: TraceAnything.Modes.Shim,
   inPlace: true,
   methods: true,
   properties: true,
@@ -1108,29 +7058,359 @@ TraceAnything.defaultOptions = {
   logger: TraceAnything.defaultLogger,
   logAsyncResultsImmediately: true,
   idProperty: "id",
+  clock: (typeof process != 'undefined' && process.hrtime &&
+          process.hrtime.bigint) ?
+      TraceAnything.Clocks.hrtime : TraceAnything.Clocks.performance,
+  filter: null,
+  rateLimits: {},
+  sampleRate: 1,
+  droppedLogSummaryInterval: 5000,
+  redact: [],
+  traceCallbackArgs: false,
+  discovery: TraceAnything.Discovery.Enumerable,
+  stopPrototypes: typeof EventTarget == 'function' ?
+      [Object.prototype, EventTarget.prototype] : [Object.prototype],
+  includeMembers: null,
+  excludeMembers: [],
+  eventHandlerProperties: [],
+  traceIterators: false,
+  captureStack: false,
+};
+
+/**
+ * @typedef {{
+ *   member: (string|!RegExp),
+ *   paths: !Array<string>,
+ *   hash: (boolean|undefined),
+ *   placeholder: (string|undefined)
+ * }}
+ * @property {(string|!RegExp)} member
+ *   The member whose logs this rule applies to, as "ClassName.memberName",
+ *   where the member is a method, property, or event name.  For constructors,
+ *   use "ClassName.constructor".  A RegExp is tested against the same string,
+ *   as in /^MediaKeySession\.(generateRequest|update)$/.
+ * @property {!Array<string>} paths
+ *   Dotted paths to the values to redact, starting with a field of
+ *   TraceAnything.Log.  For example, "args.1" for the second argument,
+ *   "result.sessionId" for a field of the result, "value" for the value of
+ *   a property, or "event.message" for a field of an event.  Rules for
+ *   "result" and "threw" also apply to the results of async methods.
+ * @property {(boolean|undefined)} hash
+ *   If true, replace values with a short hash, so that equal values can still
+ *   be matched up in the logs.  The hash is not cryptographic.
+ * @property {(string|undefined)} placeholder
+ *   If hash is not set, replace values with this.  By default, "[REDACTED]".
+ */
+TraceAnything.RedactionRule;
+
+/**
+ * @typedef {{
+ *   options: (Object|undefined),
+ *   classes: (!Array<(string|TraceAnything.ConfigTarget)>|undefined),
+ *   prototypes: (!Array<TraceAnything.ConfigTarget>|undefined),
+ *   paths: (!Array<(string|TraceAnything.ConfigTarget)>|undefined),
+ *   elements: (!Array<(string|TraceAnything.ConfigTarget)>|undefined)
+ * }}
+ * @property {(Object|undefined)} options
+ *   Options for every target, as in TraceAnything.Options.  Options whose
+ *   values are functions or objects other than plain data, such as logger,
+ *   can't be set here.
+ * @property {(!Array<(string|TraceAnything.ConfigTarget)>|undefined)} classes
+ *   Classes to trace, by their "name" paths from globalThis, such as
+ *   "MediaSource" or "shaka.Player".  In this section and the paths and
+ *   elements sections, a string can stand in for a target with only a name,
+ *   path, or selector.
+ * @property {(!Array<TraceAnything.ConfigTarget>|undefined)} prototypes
+ *   Classes with "members" of their prototypes to trace, as with
+ *   tracePrototype().
+ * @property {(!Array<(string|TraceAnything.ConfigTarget)>|undefined)} paths
+ *   Global members to trace by "path", as with tracePath(), such as
+ *   "navigator.requestMediaKeySystemAccess" or "MediaSource.*".
+ * @property {(!Array<(string|TraceAnything.ConfigTarget)>|undefined)} elements
+ *   Elements to trace by CSS "selector", as with traceSelector().
+ */
+TraceAnything.Config;
+
+/**
+ * @typedef {{
+ *   name: (string|undefined),
+ *   path: (string|undefined),
+ *   selector: (string|undefined),
+ *   members: (!Array<string>|undefined),
+ *   options: (Object|undefined)
+ * }}
+ * @property {(string|undefined)} name
+ *   For classes and prototypes, the path to the class from globalThis.
+ * @property {(string|undefined)} path
+ *   For paths, the path to the member from globalThis.
+ * @property {(string|undefined)} selector
+ *   For elements, the CSS selector.
+ * @property {(!Array<string>|undefined)} members
+ *   For prototypes, the names of the members to trace.
+ * @property {(Object|undefined)} options
+ *   Options for this target only, such as skipProperties, extraProperties,
+ *   skipEvents, extraEvents, eventProperties, exploreResultFields, or
+ *   idProperty.  These override the options for the whole config.
+ */
+TraceAnything.ConfigTarget;
+
+/**
+ * @typedef {{
+ *   maxDepth: number,
+ *   maxLength: number,
+ *   maxStringLength: number,
+ *   maxBytes: number,
+ *   binaryEncoding: string,
+ *   idProperty: ?string
+ * }}
+ * @property {number} maxDepth
+ *   How many levels of nested objects to serialize.  Deeper objects are
+ *   replaced by a short description.
+ *   By default, 4.
+ * @property {number} maxLength
+ *   The maximum number of items to serialize from an array, Map, or Set, and
+ *   the maximum number of fields to serialize from an object.
+ *   By default, 100.
+ * @property {number} maxStringLength
+ *   Longer strings are truncated.
+ *   By default, 1000.
+ * @property {number} maxBytes
+ *   The maximum number of bytes to encode from an ArrayBuffer, TypedArray, or
+ *   DataView.
+ *   By default, 256.
+ * @property {string} binaryEncoding
+ *   "hex" or "base64".
+ *   By default, "hex".
+ * @property {?string} idProperty
+ *   Should match TraceAnything.Options.idProperty, to find the instance IDs of
+ *   traced objects.
+ *   By default, "id".
+ */
+TraceAnything.SerializeOptions;
+
+
+/**
+ * The default options for TraceAnything.serializeLog().
+ *
+ * @type {TraceAnything.SerializeOptions}
+ */
+TraceAnything.defaultSerializeOptions = {
+  maxDepth: 4,
+  maxLength: 100,
+  maxStringLength: 1000,
+  maxBytes: 256,
+  binaryEncoding: 'hex',
+  idProperty: 'id',
+};
+
+/**
+ * A handle returned by each of the trace methods, which can be used to stop
+ * tracing and restore whatever was shimmed.
+ */
+TraceAnything.Handle = class {
+  /**
+   * @param {TraceAnything.Options} options The options used for tracing.
+   * @param {TraceAnything.Handle} parent A parent handle which will restore
+   *   this one, or null for a handle returned to the app.
+   * @param {Object=} target For a handle which traces a single instance, the
+   *   instance.  The parent only keeps this handle as long as the instance is
+   *   alive, so that traced instances can still be garbage-collected.
+   */
+  constructor(options, parent, target) {
+    /**
+     * The traced object, constructor, or member, depending on which method
+     * returned this handle.
+     *
+     * @type {?}
+     */
+    this.traced = undefined;
+
+    /**
+     * The options used for tracing.
+     *
+     * @type {TraceAnything.Options}
+     */
+    this.options = options;
+
+    /**
+     * True once restore() has been called.
+     *
+     * @type {boolean}
+     */
+    this.restored = false;
+
+    /**
+     * Callbacks that undo the effects of tracing, in the order they were
+     * added.
+     *
+     * @private {!Array<function()>}
+     */
+    this._undoSteps = [];
+
+    /**
+     * Callbacks that undo the effects of tracing on objects which may be
+     * garbage-collected first, such as traced instances.  These are only kept
+     * as long as their objects are.
+     *
+     * @private {!WeakMap<!Object, !Array<function()>>}
+     */
+    this._weakUndoSteps = new WeakMap();
+
+    /**
+     * The objects in _weakUndoSteps, which can't be listed from the WeakMap
+     * itself.
+     *
+     * @private {!Set<!WeakRef<!Object>>}
+     */
+    this._weakTargets = new Set();
+
+    if (parent) {
+      parent._addUndoStep(() => this.restore(), target);
+    } else {
+      TraceAnything._activeHandles.add(this);
+      if (!TraceAnything._optionsHandles.has(options)) {
+        TraceAnything._optionsHandles.set(options, this);
+      }
+    }
+  }
+
+  /**
+   * Stop tracing and restore the original members, event listeners, and
+   * anything else that was shimmed.  This is safe to call more than once.
+   */
+  restore() {
+    if (this.restored) {
+      return;
+    }
+
+    this.restored = true;
+    TraceAnything._activeHandles.delete(this);
+
+    // Objects which are still alive are restored first, since they were
+    // traced after whatever they depend on.
+    for (const ref of this._weakTargets) {
+      TraceAnything._weakUndoRegistry.unregister(ref);
+      const target = ref.deref();
+      const steps = target && this._weakUndoSteps.get(target);
+      while (steps && steps.length) {
+        steps.pop()();
+      }
+    }
+    this._weakTargets.clear();
+
+    // Undo everything in the opposite order it was done.
+    while (this._undoSteps.length) {
+      this._undoSteps.pop()();
+    }
+  }
+
+  /**
+   * @param {function()} callback A callback to undo some effect of tracing.
+   * @param {Object=} target An object the callback restores, if the callback
+   *   should only be kept as long as the object is alive.
+   * @private
+   */
+  _addUndoStep(callback, target) {
+    if (!target || !TraceAnything._weakUndoRegistry) {
+      this._undoSteps.push(callback);
+      return;
+    }
+
+    let steps = this._weakUndoSteps.get(target);
+    if (!steps) {
+      steps = [];
+      this._weakUndoSteps.set(target, steps);
+
+      const ref = new WeakRef(target);
+      this._weakTargets.add(ref);
+      TraceAnything._weakUndoRegistry.register(
+          target, {handle: this, ref}, ref);
+    }
+    steps.push(callback);
+  }
 };
 
 /**
- * A map of traced class names to the options used for them.
+ * A map of traced classes to the handles used to trace them.
  *
- * @private {!Map<string, TraceAnything.Options>}
+ * @private {!Map<function, !TraceAnything.Handle>}
  */
 TraceAnything._shimmedClasses = new Map();
 
 /**
- * A map of traced HTML element names to the options used for them.
+ * The HTML elements traced in each document, such as those of frames.  For
+ * each, "names" maps traced element names and "selectors" maps CSS selectors
+ * (see TraceAnything.traceSelector()) to the handles used to trace them.
+ * "observer" monitors the document for new elements, and "roots" are weak
+ * references to the document and shadow roots it observes, also kept in
+ * "rootRefs" by root.  "originalAttachShadow" is the original
+ * Element.prototype.attachShadow of its window, while it is shimmed to monitor
+ * new shadow roots.
+ *
+ * @private {!WeakMap<!Document, {
+ *   names: !Map<string, !TraceAnything.Handle>,
+ *   selectors: !Map<string, !TraceAnything.Handle>,
+ *   observer: MutationObserver,
+ *   roots: !Set<!WeakRef<!Node>>,
+ *   rootRefs: !WeakMap<!Node, !WeakRef<!Node>>,
+ *   originalAttachShadow: ?function(!Object):!ShadowRoot
+ * }>}
+ */
+TraceAnything._elementStates = new WeakMap();
+
+/**
+ * The frames traced through TraceAnything.traceFrames(), with the names of
+ * their realms, by the Object.prototype of each realm.  That is the end of the
+ * prototype chain of almost every object from the frame.
+ *
+ * @private {!WeakMap<!Object, {realm: string, frameWindow: !Window}>}
+ */
+TraceAnything._frameRealms = new WeakMap();
+
+/**
+ * A map of original objects to the proxies that trace them.
+ *
+ * @private {!WeakMap<!Object, !Object>}
+ */
+TraceAnything._proxies = new WeakMap();
+
+/**
+ * A map of proxies back to the original objects they trace.
+ *
+ * @private {!WeakMap<!Object, !Object>}
+ */
+TraceAnything._proxyTargets = new WeakMap();
+
+/**
+ * All handles returned to the app which have not been restored yet.
+ *
+ * @private {!Set<!TraceAnything.Handle>}
+ */
+TraceAnything._activeHandles = new Set();
+
+/**
+ * The handle returned to the app for each set of options.  Objects traced
+ * where no handle is at hand, such as iterators, are restored through it.
  *
- * @private {!Map<string, TraceAnything.Options>}
+ * @private {!WeakMap<TraceAnything.Options, !TraceAnything.Handle>}
  */
-TraceAnything._tracedElementNames = new Map();
+TraceAnything._optionsHandles = new WeakMap();
 
 /**
- * An observer to monitor the document for changes and identify newly-added
- * elements that we should trace.
+ * Forgets the objects of weak undo steps once they are garbage-collected.  See
+ * TraceAnything.Handle._addUndoStep().  Null where WeakRef is not supported,
+ * in which case all undo steps are kept until restored.
  *
- * @private {MutationObserver}
+ * @private {FinalizationRegistry}
  */
-TraceAnything._newElementObserver = null;
+TraceAnything._weakUndoRegistry = (() => {
+  if (typeof WeakRef != 'function' ||
+      typeof FinalizationRegistry != 'function') {
+    return null;
+  }
+  return new FinalizationRegistry(
+      ({handle, ref}) => handle._weakTargets.delete(ref));
+})();
 
 /**
  * The next ID for objects which need an ID generated for the logs.
@@ -1141,6 +7421,208 @@ TraceAnything._newElementObserver = null;
  */
 TraceAnything._nextGeneratedId = new Map();
 
+/**
+ * The IDs generated for traced objects which have no idProperty.  These are
+ * kept here rather than on the objects, which may be frozen, or proxied.
+ *
+ * @private {!WeakMap<!Object, string>}
+ */
+TraceAnything._generatedIds = new WeakMap();
+
+/**
+ * The next call ID.  See TraceAnything.Log.callId.
+ *
+ * @private {number}
+ */
+TraceAnything._nextCallId = 1;
+
+/**
+ * The methods of the EventTarget interface.  Events are traced through these,
+ * rather than as calls, in some cases.
+ *
+ * @private {!Array<string>}
+ * @const
+ */
+TraceAnything._EVENT_TARGET_METHODS = [
+  'addEventListener',
+  'removeEventListener',
+  'dispatchEvent',
+];
+
+/**
+ * Regular expressions compiled from the patterns in
+ * TraceAnything.Options.includeMembers and excludeMembers.
+ *
+ * @private {!WeakMap<!Array<(string|!RegExp)>, !Array<!RegExp>>}
+ */
+TraceAnything._compiledPatterns = new WeakMap();
+
+/**
+ * Wrappers for callbacks passed to traced methods, by the original callback,
+ * with the latest call which received each one.  See
+ * TraceAnything.Options.traceCallbackArgs.
+ *
+ * @private {!WeakMap<function(...?), {
+ *   wrapper: function(...?),
+ *   registration: {log: TraceAnything.Log, options: TraceAnything.Options}
+ * }>}
+ */
+TraceAnything._callbackWrappers = new WeakMap();
+
+/**
+ * The app's event listeners on traced objects, by the original object, then
+ * by event name, in the order they were added.  Each has the wrapper we
+ * registered in its place.
+ *
+ * @private {!WeakMap<!Object, !Map<string, !Array<!Object>>>}
+ */
+TraceAnything._appListeners = new WeakMap();
+
+/**
+ * Iterators, streams, and readers whose steps are already being logged.  See
+ * TraceAnything.Options.traceIterators.
+ *
+ * @private {!WeakSet<!Object>}
+ */
+TraceAnything._tracedIterators = new WeakSet();
+
+/**
+ * The latest dispatch of each Event to each traced object, with its log and
+ * the shim listeners it has reached, so that each dispatch is logged once, no
+ * matter how many listeners it reaches.
+ *
+ * @private {!WeakMap<!Object, !Map<!Object,
+ *     {log: TraceAnything.Log, shims: !Set<function(?)>}>>}
+ */
+TraceAnything._eventLogs = new WeakMap();
+
+/**
+ * The fields of a log which may contain sensitive values.  See
+ * TraceAnything.Options.redact.
+ *
+ * @private {!Array<string>}
+ * @const
+ */
+TraceAnything._REDACTED_FIELDS = [
+  'args', 'result', 'threw', 'value', 'event', 'asyncResult', 'asyncThrew',
+];
+
+/**
+ * The types of logs which get a call-site stack.  See
+ * TraceAnything.Options.captureStack.
+ *
+ * @private {!Array<TraceAnything.LogTypes>}
+ * @const
+ */
+TraceAnything._STACK_LOG_TYPES = [
+  TraceAnything.LogTypes.Constructor,
+  TraceAnything.LogTypes.Method,
+  TraceAnything.LogTypes.Getter,
+  TraceAnything.LogTypes.Setter,
+];
+
+/**
+ * The maximum number of frames kept in a captured stack.  See
+ * TraceAnything.Options.captureStack.
+ *
+ * @private {number}
+ * @const
+ */
+TraceAnything._MAX_STACK_FRAMES = 10;
+
+/**
+ * The most frames of TraceAnything itself expected at the top of a captured
+ * stack.  See TraceAnything._captureStack().
+ *
+ * @private {number}
+ * @const
+ */
+TraceAnything._MAX_OWN_FRAMES = 10;
+
+/**
+ * The sections of a TraceAnything.Config which list targets, with the field
+ * that names each target.  A target can also be written as just that string.
+ *
+ * @private {!Object<string, string>}
+ * @const
+ */
+TraceAnything._CONFIG_SECTIONS = {
+  classes: 'name',
+  prototypes: 'name',
+  paths: 'path',
+  elements: 'selector',
+};
+
+/**
+ * Options which can't be set through a TraceAnything.Config, because their
+ * values can't be written as JSON.  Pass them to applyConfig() instead.
+ *
+ * @private {!Array<string>}
+ * @const
+ */
+TraceAnything._CONFIG_EXCLUDED_OPTIONS = [
+  'logger', 'clock', 'filter', 'stopPrototypes',
+];
+
+/**
+ * The state of filtering, rate limits, and dropped logs, for each set of
+ * options used for tracing.
+ *
+ * @private {!WeakMap<TraceAnything.Options, !Object>}
+ */
+TraceAnything._logStates = new WeakMap();
+
+/**
+ * The logs of traced calls currently running, in browsers.  Only the
+ * synchronous part of each call can be tracked this way.
+ *
+ * @private {!Array<TraceAnything.Log>}
+ */
+TraceAnything._callStack = [];
+
+/**
+ * In nodejs, tracks the log of the traced call currently running across
+ * await and Promise continuations.  Null in browsers.
+ *
+ * @private {AsyncLocalStorage}
+ */
+TraceAnything._asyncLocalStorage = (() => {
+  try {
+    const {AsyncLocalStorage} = TraceAnything._require('async_hooks');
+    return AsyncLocalStorage ? new AsyncLocalStorage() : null;
+  } catch (error) {
+    // This is not nodejs, or this version of nodejs is too old.
+    return null;
+  }
+})();
+
+/**
+ * The name of the realm TraceAnything runs in.  See TraceAnything.Log.realm.
+ *
+ * @private {string}
+ */
+TraceAnything._realm = (() => {
+  if (typeof WorkerGlobalScope == 'function' &&
+      globalThis instanceof WorkerGlobalScope) {
+    return globalThis.name ? `worker:${globalThis.name}` : 'worker';
+  }
+  if (typeof window == 'object' && window.parent && window.parent != window) {
+    return window.name ? `frame:${window.name}` : 'frame';
+  }
+  return 'main';
+})();
+
+/**
+ * The names of TraceAnything's private methods, so that their frames can be
+ * removed from captured stacks.  See TraceAnything.Options.captureStack.
+ *
+ * @private {!Set<string>}
+ * @const
+ */
+TraceAnything._OWN_METHOD_NAMES = new Set(
+    Object.getOwnPropertyNames(TraceAnything).filter((k) =>
+      k.startsWith('_') && typeof TraceAnything[k] == 'function'));
+
 // In a nodejs environment, export the module.  In a browser, don't.
 // See https://github.com/google/eme_logger/issues/25
 if (typeof module !== 'undefined') {